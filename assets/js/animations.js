@@ -0,0 +1,161 @@
+/**
+ * MetricAnimator - Animaciones declarativas de números y gráficos
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Basado en requestAnimationFrame y configurado por atributos:
+ *
+ *   <div data-animate-number="350000" data-format="currency" data-decimals="0">$350,000</div>
+ *   <div data-animate-number="70" data-format="percent" data-duration="1500">70%</div>
+ *   <circle class="progress-ring" r="100" data-progress="70" data-easing="ease-out"/>
+ *
+ * Atributos de números: data-start, data-format (number | currency | percent | compact),
+ * data-currency, data-locale, data-decimals, data-prefix, data-suffix.
+ * Comunes: data-duration (ms) y data-easing (linear | ease-in | ease-out | ease-in-out).
+ */
+
+class MetricAnimator {
+    constructor() {
+        this.defaultLocale = document.documentElement.lang || 'en-US';
+        this.frames = new Map();
+
+        this.easings = {
+            'linear': t => t,
+            'ease-in': t => t * t * t,
+            'ease-out': t => 1 - Math.pow(1 - t, 3),
+            'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+        };
+    }
+
+    // Ejecuta una interpolación de 0 a 1, cancelando la anterior del mismo elemento
+    tween(element, duration, easingName, onUpdate) {
+        this.cancel(element);
+
+        const easing = this.easings[easingName] || this.easings['ease-out'];
+        const startTime = performance.now();
+
+        const step = (now) => {
+            const progress = duration > 0 ? Math.min((now - startTime) / duration, 1) : 1;
+            onUpdate(easing(progress));
+
+            if (progress < 1) {
+                this.frames.set(element, requestAnimationFrame(step));
+            } else {
+                this.frames.delete(element);
+            }
+        };
+
+        this.frames.set(element, requestAnimationFrame(step));
+    }
+
+    cancel(element) {
+        if (this.frames.has(element)) {
+            cancelAnimationFrame(this.frames.get(element));
+            this.frames.delete(element);
+        }
+    }
+
+    // Números
+    animateNumbers(root) {
+        root?.querySelectorAll('[data-animate-number]').forEach(el => this.animateNumber(el));
+    }
+
+    animateNumber(element, from, to, duration) {
+        const start = from ?? (parseFloat(element.dataset.start) || 0);
+        const end = to ?? parseFloat(element.dataset.animateNumber);
+        if (isNaN(end)) return;
+
+        const formatter = this.getFormatter(element);
+        duration = duration ?? (parseInt(element.dataset.duration) || 1000);
+
+        this.tween(element, duration, element.dataset.easing, (t) => {
+            element.textContent = this.format(element, start + (end - start) * t, formatter);
+        });
+    }
+
+    getDecimals(element) {
+        if (element.dataset.decimals !== undefined) {
+            return parseInt(element.dataset.decimals) || 0;
+        }
+        // Por defecto, los decimales del valor final
+        const [, fraction = ''] = String(element.dataset.animateNumber || '').split('.');
+        return fraction.length;
+    }
+
+    getFormatter(element) {
+        const decimals = this.getDecimals(element);
+        const options = {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        };
+
+        switch (element.dataset.format) {
+            case 'currency':
+                options.style = 'currency';
+                options.currency = element.dataset.currency || 'USD';
+                break;
+            case 'percent':
+                options.style = 'percent';
+                break;
+            case 'compact':
+                options.notation = 'compact';
+                break;
+        }
+
+        return new Intl.NumberFormat(element.dataset.locale || this.defaultLocale, options);
+    }
+
+    format(element, value, formatter = this.getFormatter(element)) {
+        // Los porcentajes se expresan en puntos (70 = 70%)
+        const number = element.dataset.format === 'percent' ? value / 100 : value;
+        return (element.dataset.prefix || '') + formatter.format(number) + (element.dataset.suffix || '');
+    }
+
+    // Anillos de progreso (cualquier <circle> con data-progress)
+    animateRings(root) {
+        root?.querySelectorAll('[data-progress]').forEach(el => this.animateRing(el));
+    }
+
+    getCircumference(ring) {
+        const radius = ring.r?.baseVal?.value ?? parseFloat(ring.getAttribute('r'));
+        return 2 * Math.PI * radius;
+    }
+
+    animateRing(ring) {
+        const circumference = this.getCircumference(ring);
+        const progress = Math.max(0, Math.min(parseFloat(ring.dataset.progress) || 0, 100));
+        const finalOffset = circumference * (1 - progress / 100);
+        const duration = parseInt(ring.dataset.duration) || 2000;
+
+        // El estado lo controla JavaScript, no las animaciones CSS
+        ring.style.animation = 'none';
+        ring.style.transition = 'none';
+        ring.style.strokeDasharray = circumference;
+        ring.style.strokeDashoffset = circumference;
+
+        this.tween(ring, duration, ring.dataset.easing, (t) => {
+            ring.style.strokeDashoffset = circumference + (finalOffset - circumference) * t;
+        });
+    }
+
+    // Estado final inmediato (impresión, exportación)
+    finish(root) {
+        if (!root) return;
+
+        root.querySelectorAll('[data-animate-number]').forEach(el => {
+            const end = parseFloat(el.dataset.animateNumber);
+            if (isNaN(end)) return;
+            this.cancel(el);
+            el.textContent = this.format(el, end);
+        });
+
+        root.querySelectorAll('[data-progress]').forEach(ring => {
+            const circumference = this.getCircumference(ring);
+            const progress = Math.max(0, Math.min(parseFloat(ring.dataset.progress) || 0, 100));
+            this.cancel(ring);
+            ring.style.animation = 'none';
+            ring.style.transition = 'none';
+            ring.style.strokeDasharray = circumference;
+            ring.style.strokeDashoffset = circumference * (1 - progress / 100);
+        });
+    }
+}
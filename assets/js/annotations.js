@@ -0,0 +1,217 @@
+/**
+ * AnnotationLayer - Anotaciones sobre el slide
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Canvas de 1920×1080 sobre los slides con puntero láser (L), lápiz (P) y
+ * resaltador (H); X borra el slide actual y Escape suelta la herramienta.
+ * Los trazos se guardan por slide en coordenadas del lienzo base, por lo que
+ * sobreviven a la navegación, al reescalado y se incluyen en la exportación.
+ */
+
+class AnnotationLayer {
+    constructor(engine) {
+        this.engine = engine;
+        this.tool = null;
+        this.strokes = new Map();
+        this.currentStroke = null;
+        this.canvas = null;
+        this.context = null;
+        this.laser = null;
+        this.button = document.getElementById('annotateBtn');
+
+        this.tools = {
+            pen: { color: '#EF4444', width: 4, opacity: 1 },
+            highlighter: { color: '#FACC15', width: 28, opacity: 0.35 }
+        };
+
+        this.init();
+    }
+
+    init() {
+        const { engine } = this;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'annotation-canvas';
+        this.canvas.width = engine.baseWidth;
+        this.canvas.height = engine.baseHeight;
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.context = this.canvas.getContext('2d');
+
+        this.laser = document.createElement('div');
+        this.laser.className = 'annotation-laser';
+        this.laser.setAttribute('aria-hidden', 'true');
+
+        // Dentro del contenedor: hereda el translate/scale de scaleToFit
+        engine.container.appendChild(this.canvas);
+        engine.container.appendChild(this.laser);
+
+        engine.listen(this.canvas, 'pointerdown', (e) => this.handlePointerDown(e));
+        engine.listen(this.canvas, 'pointermove', (e) => this.handlePointerMove(e));
+        engine.listen(this.canvas, 'pointerup', (e) => this.handlePointerUp(e));
+        engine.listen(this.canvas, 'pointercancel', (e) => this.handlePointerUp(e));
+        engine.listen(this.canvas, 'pointerleave', () => this.laser.classList.remove('visible'));
+
+        // Controles en la navegación
+        engine.listen(this.button, 'click', () => this.toggle());
+        document.querySelectorAll('.annotation-tools [data-tool]').forEach(button => {
+            engine.listen(button, 'click', () => this.setTool(button.dataset.tool));
+        });
+        engine.listen(document.getElementById('annotateClearBtn'), 'click', () => this.clear());
+        engine.listen(document.getElementById('annotateExportBtn'), 'click', () => this.download());
+
+        engine.on('slidechanged', () => this.render());
+    }
+
+    toggle() {
+        this.setTool(this.tool ? null : 'pen');
+    }
+
+    // Activar una herramienta; repetir la misma (o null) la desactiva
+    setTool(tool) {
+        this.tool = tool && tool !== this.tool ? tool : null;
+        this.currentStroke = null;
+        this.laser.classList.remove('visible');
+
+        document.body.classList.toggle('annotating', !!this.tool);
+        this.canvas.dataset.tool = this.tool || '';
+        this.button?.classList.toggle('active', !!this.tool);
+        document.querySelectorAll('.annotation-tools [data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === this.tool);
+        });
+    }
+
+    // Coordenadas de pantalla → lienzo base, deshaciendo el scale() del contenedor
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    handlePointerDown(e) {
+        if (!this.tool) return;
+        e.preventDefault();
+
+        if (this.tool === 'laser') {
+            this.moveLaser(this.getPoint(e));
+            return;
+        }
+
+        this.canvas.setPointerCapture?.(e.pointerId);
+        this.currentStroke = { tool: this.tool, points: [this.getPoint(e)] };
+        this.getStrokes(this.engine.currentSlide).push(this.currentStroke);
+        this.render();
+    }
+
+    handlePointerMove(e) {
+        if (this.tool === 'laser') {
+            this.moveLaser(this.getPoint(e));
+            return;
+        }
+        if (!this.currentStroke) return;
+
+        this.currentStroke.points.push(this.getPoint(e));
+        this.render();
+    }
+
+    handlePointerUp(e) {
+        if (!this.currentStroke) return;
+
+        this.canvas.releasePointerCapture?.(e.pointerId);
+        this.currentStroke = null;
+    }
+
+    moveLaser(point) {
+        this.laser.style.left = `${point.x}px`;
+        this.laser.style.top = `${point.y}px`;
+        this.laser.classList.add('visible');
+    }
+
+    getStrokes(index) {
+        if (!this.strokes.has(index)) {
+            this.strokes.set(index, []);
+        }
+        return this.strokes.get(index);
+    }
+
+    hasStrokes(index) {
+        return (this.strokes.get(index) || []).length > 0;
+    }
+
+    clear(index = this.engine.currentSlide) {
+        this.strokes.delete(index);
+        this.currentStroke = null;
+        this.render();
+    }
+
+    render() {
+        this.drawStrokes(this.context, this.engine.currentSlide);
+    }
+
+    drawStrokes(context, index) {
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        (this.strokes.get(index) || []).forEach(stroke => {
+            const style = this.tools[stroke.tool];
+            const [first, ...rest] = stroke.points;
+
+            context.save();
+            context.globalAlpha = style.opacity;
+            context.strokeStyle = style.color;
+            context.fillStyle = style.color;
+            context.lineWidth = style.width;
+            context.lineCap = 'round';
+            context.lineJoin = 'round';
+
+            // Un solo punto: dibujar un círculo
+            if (!rest.length) {
+                context.beginPath();
+                context.arc(first.x, first.y, style.width / 2, 0, Math.PI * 2);
+                context.fill();
+            } else {
+                context.beginPath();
+                context.moveTo(first.x, first.y);
+                rest.forEach(point => context.lineTo(point.x, point.y));
+                context.stroke();
+            }
+            context.restore();
+        });
+    }
+
+    // Imagen transparente con las anotaciones de un slide (exportación / PDF)
+    toDataURL(index) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        this.drawStrokes(canvas.getContext('2d'), index);
+        return canvas.toDataURL('image/png');
+    }
+
+    createSnapshot(index) {
+        if (!this.hasStrokes(index)) return null;
+
+        const image = document.createElement('img');
+        image.className = 'annotation-snapshot';
+        image.alt = '';
+        image.src = this.toDataURL(index);
+        return image;
+    }
+
+    download(index = this.engine.currentSlide) {
+        if (!this.hasStrokes(index)) return;
+
+        const slideId = this.engine.slides[index]?.dataset.slideId || index;
+        const link = document.createElement('a');
+        link.href = this.toDataURL(index);
+        link.download = `annotations-${slideId}.png`;
+        link.click();
+    }
+
+    destroy() {
+        this.setTool(null);
+        this.strokes.clear();
+        this.canvas.remove();
+        this.laser.remove();
+    }
+}
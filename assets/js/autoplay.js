@@ -0,0 +1,151 @@
+/**
+ * AutoPlay - Avance automático / modo kiosco
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Avanza los slides (y sus fragmentos) tras un retardo configurable:
+ * ?autoplay o ?autoplay=8000 para activarlo al cargar, la tecla A o el botón
+ * de la navegación para alternarlo, y data-autoplay="8000" en un .slide para
+ * sobrescribir el retardo de ese slide. Con ?autoplay=rehearsal se usan los
+ * tiempos del último ensayo (RehearsalRecorder). La interacción del usuario
+ * lo pausa y se reanuda tras un periodo de inactividad.
+ */
+
+class AutoPlay {
+    constructor(engine) {
+        this.engine = engine;
+        this.defaultDelay = 10000;
+        this.resumeDelay = 30000;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.timer = null;
+        this.resumeTimer = null;
+        this.useRehearsal = false;
+        this.button = document.getElementById('autoplayBtn');
+
+        this.init();
+    }
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('autoplay')) {
+            this.useRehearsal = params.get('autoplay') === 'rehearsal';
+            this.defaultDelay = parseInt(params.get('autoplay')) || this.defaultDelay;
+            this.start();
+        }
+
+        // Reprogramar el avance cada vez que cambia el slide o un fragmento
+        // (y al terminar de iniciar el motor, cuando ya existen los tiempos del ensayo)
+        ['ready', 'slidechanged', 'fragmentshown', 'fragmenthidden'].forEach(type => {
+            this.engine.on(type, () => this.schedule());
+        });
+
+        // Pausar ante cualquier interacción del usuario (en captura, antes que la navegación)
+        ['keydown', 'pointerdown', 'touchstart', 'wheel'].forEach(type => {
+            this.engine.listen(document, type, (e) => this.handleUserInput(e), { capture: true, passive: true });
+        });
+
+        this.updateButton();
+    }
+
+    toggle() {
+        if (this.isPlaying && !this.isPaused) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        this.isPlaying = true;
+        this.isPaused = false;
+        clearTimeout(this.resumeTimer);
+        this.schedule();
+        this.updateButton();
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.isPaused = false;
+        clearTimeout(this.timer);
+        clearTimeout(this.resumeTimer);
+        this.updateButton();
+    }
+
+    // Pausa temporal por interacción; se reanuda tras la inactividad
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPaused = true;
+        clearTimeout(this.timer);
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this.resume(), this.resumeDelay);
+        this.updateButton();
+    }
+
+    resume() {
+        if (!this.isPlaying) return;
+
+        this.isPaused = false;
+        this.schedule();
+        this.updateButton();
+    }
+
+    handleUserInput(e) {
+        if (!this.isPlaying) return;
+
+        // El propio control de reproducción no cuenta como interrupción
+        if (this.button && this.button.contains(e.target)) return;
+        if (e.type === 'keydown' && this.isToggleKey(e)) return;
+
+        this.pause();
+    }
+
+    isToggleKey(e) {
+        return this.engine.keyboard?.getAction(e) === 'autoplay';
+    }
+
+    getDelay() {
+        const slide = this.engine.slides[this.engine.currentSlide];
+        const rehearsed = this.useRehearsal ? this.engine.rehearsal?.getStepDelay(this.engine.currentSlide) : null;
+        return parseInt(slide?.dataset.autoplay) || rehearsed || this.defaultDelay;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        if (!this.isPlaying || this.isPaused || this.engine.printer?.isEnabled || this.engine.keyboard?.blank) return;
+
+        this.timer = setTimeout(() => this.advance(), this.getDelay());
+    }
+
+    advance() {
+        // Reintentar si coincide con una transición en curso
+        if (this.engine.isTransitioning) {
+            this.timer = setTimeout(() => this.advance(), 100);
+            return;
+        }
+
+        // nextSlide recorre fragmentos y vuelve al inicio al llegar al final;
+        // cada avance solo actualiza la URL, sin añadir entradas al historial
+        this.engine.nextSlide({ updateHistory: 'replace' });
+    }
+
+    updateButton() {
+        document.body.classList.toggle('autoplay-active', this.isPlaying);
+        if (!this.button) return;
+
+        const icon = this.button.querySelector('i');
+        const running = this.isPlaying && !this.isPaused;
+
+        this.button.classList.toggle('playing', this.isPlaying);
+        this.button.classList.toggle('paused', this.isPaused);
+        this.button.title = this.isPlaying ? 'Pausar Reproducción' : 'Reproducción Automática';
+        if (icon) {
+            icon.classList.toggle('fa-play', !running);
+            icon.classList.toggle('fa-pause', running);
+        }
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * InvestmentCalculator - Calculadora interactiva "what-if"
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Convierte un bloque con data-calculator en un simulador: cada importe con
+ * data-allocation obtiene un control deslizante y el total, los porcentajes
+ * y los indicadores derivados se recalculan en vivo con MetricAnimator.
+ *
+ *   <div class="slide" data-calculator data-annual-value="1200000">
+ *     <div data-allocation-total data-animate-number="350000" data-format="currency">
+ *     <div data-allocation="tools" data-default="125000" data-min="0" data-max="250000" data-step="5000">
+ *     <span data-allocation-share="tools" data-format="percent">
+ *     <span data-allocation-derived="payback | roi">
+ */
+
+class InvestmentCalculator {
+    constructor(engine) {
+        this.engine = engine;
+        this.updateDuration = 400;
+        this.scopes = [];
+
+        this.init();
+    }
+
+    init() {
+        // Solo en los slides: las miniaturas (vista general, presentador) son copias
+        Array.from(this.engine.slides).forEach(slide => {
+            const elements = slide.matches('[data-calculator]') ? [slide] : slide.querySelectorAll('[data-calculator]');
+            elements.forEach(element => this.scopes.push(this.setupScope(element)));
+        });
+    }
+
+    setupScope(element) {
+        const scope = {
+            element,
+            isActive: false,
+            annualValue: parseFloat(element.dataset.annualValue) || 0,
+            allocations: [],
+            values: {}
+        };
+
+        element.querySelectorAll('[data-allocation]').forEach(amountEl => {
+            const key = amountEl.dataset.allocation;
+            const allocation = {
+                key,
+                element: amountEl,
+                defaultValue: parseFloat(amountEl.dataset.default) || 0,
+                input: this.createSlider(amountEl)
+            };
+
+            allocation.input.addEventListener('input', () => {
+                this.setValue(scope, key, parseFloat(allocation.input.value));
+            });
+
+            scope.allocations.push(allocation);
+            scope.values[key] = allocation.defaultValue;
+        });
+
+        element.appendChild(this.createToolbar(scope));
+        return scope;
+    }
+
+    createSlider(amountEl) {
+        const control = document.createElement('div');
+        control.className = 'allocation-control';
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = amountEl.dataset.min || 0;
+        input.max = amountEl.dataset.max || (parseFloat(amountEl.dataset.default) || 0) * 2;
+        input.step = amountEl.dataset.step || 1000;
+        input.value = amountEl.dataset.default || 0;
+        input.setAttribute('aria-label', amountEl.closest('.investment-section')?.querySelector('h3')?.textContent.trim() || amountEl.dataset.allocation);
+
+        control.appendChild(input);
+
+        // Debajo de la cabecera de la inversión, o junto al importe
+        const header = amountEl.closest('.investment-header');
+        if (header) {
+            header.after(control);
+        } else {
+            amountEl.after(control);
+        }
+        return input;
+    }
+
+    createToolbar(scope) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'calculator-toolbar';
+        toolbar.innerHTML = `
+            <button class="calculator-btn calculator-toggle" title="Modo Simulación">
+                <i class="fas fa-sliders"></i><span>Simular</span>
+            </button>
+            <button class="calculator-btn calculator-reset" title="Restablecer Valores">
+                <i class="fas fa-rotate-left"></i><span>Restablecer</span>
+            </button>
+        `;
+
+        toolbar.querySelector('.calculator-toggle').addEventListener('click', () => this.toggle(scope));
+        toolbar.querySelector('.calculator-reset').addEventListener('click', () => this.reset(scope));
+        return toolbar;
+    }
+
+    // Sin argumento, alterna la calculadora del slide activo
+    toggle(scope = this.getActiveScope()) {
+        if (!scope) return;
+
+        scope.isActive = !scope.isActive;
+        scope.element.classList.toggle('calculator-active', scope.isActive);
+
+        // Mostrar todos los fragmentos para poder ajustar cada importe
+        if (scope.isActive) {
+            const steps = this.engine.getFragmentSteps(this.engine.currentSlide);
+            this.engine.showFragment(steps.length - 1);
+        }
+    }
+
+    getActiveScope() {
+        const slide = this.engine.slides[this.engine.currentSlide];
+        return this.scopes.find(scope => scope.element === slide || slide?.contains(scope.element)) || null;
+    }
+
+    setValue(scope, key, value) {
+        const previous = { ...scope.values };
+        scope.values[key] = value;
+        this.recalculate(scope, previous);
+    }
+
+    reset(scope) {
+        const previous = { ...scope.values };
+        scope.allocations.forEach(allocation => {
+            scope.values[allocation.key] = allocation.defaultValue;
+            allocation.input.value = allocation.defaultValue;
+        });
+        this.recalculate(scope, previous);
+    }
+
+    getTotals(values, annualValue) {
+        const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+        return {
+            total,
+            // Meses para recuperar la inversión con el valor anual liberado
+            payback: annualValue > 0 ? total / (annualValue / 12) : 0,
+            // Retorno del primer año en puntos porcentuales
+            roi: total > 0 ? ((annualValue - total) / total) * 100 : 0
+        };
+    }
+
+    recalculate(scope, previous) {
+        const { element, values, annualValue } = scope;
+        const before = this.getTotals(previous, annualValue);
+        const after = this.getTotals(values, annualValue);
+
+        scope.allocations.forEach(({ key, element: amountEl }) => {
+            this.update(amountEl, previous[key], values[key]);
+        });
+
+        element.querySelectorAll('[data-allocation-total]').forEach(el => {
+            this.update(el, before.total, after.total);
+        });
+
+        element.querySelectorAll('[data-allocation-share]').forEach(el => {
+            const key = el.dataset.allocationShare;
+            const share = (total, source) => (total > 0 ? (source[key] / total) * 100 : 0);
+            this.update(el, share(before.total, previous), share(after.total, values));
+        });
+
+        element.querySelectorAll('[data-allocation-derived]').forEach(el => {
+            const metric = el.dataset.allocationDerived;
+            this.update(el, before[metric], after[metric]);
+        });
+    }
+
+    // Animar el cambio y fijar el nuevo valor final (impresión, re-entrada al slide)
+    update(element, from, to) {
+        if (from === undefined || to === undefined) return;
+
+        const { animator } = this.engine;
+        element.dataset.animateNumber = to;
+
+        // Con movimiento reducido el nuevo valor se muestra directamente
+        if (this.engine.prefersReducedMotion()) {
+            animator.cancel(element);
+            element.textContent = animator.format(element, to);
+            return;
+        }
+
+        animator.animateNumber(element, from, to, this.updateDuration);
+    }
+
+    destroy() {
+        this.scopes.forEach(scope => {
+            scope.element.classList.remove('calculator-active');
+            scope.element.querySelector('.calculator-toolbar')?.remove();
+            scope.allocations.forEach(allocation => allocation.input.closest('.allocation-control')?.remove());
+        });
+        this.scopes = [];
+    }
+}
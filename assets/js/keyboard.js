@@ -0,0 +1,299 @@
+/**
+ * KeyboardCommands - Atajos de teclado configurables
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Traduce cada tecla a una acción con nombre (next, blackout, help...).
+ * Escribir un número y pulsar Enter salta a ese slide; B o el punto
+ * oscurecen la pantalla, W la deja en blanco y ? muestra la ayuda con los
+ * atajos activos. Los atajos se sobrescriben antes de cargar los scripts:
+ *
+ *   window.presentationConfig = {
+ *       keyboard: { next: ['ArrowRight', 'PageDown', 'N'], blackout: ['B'] }
+ *   };
+ */
+
+class KeyboardCommands {
+    constructor(engine) {
+        this.engine = engine;
+        this.bindings = new Map();
+        this.blank = null;
+        this.blankOverlay = null;
+        this.helpOverlay = null;
+        this.gotoIndicator = null;
+
+        // Número escrito para "número + Enter"; se aplica solo tras una pausa
+        this.buffer = '';
+        this.bufferTimer = null;
+        this.bufferDelay = 1500;
+
+        // Acción → grupo y texto de la ayuda, teclas por defecto y comando
+        this.actions = {
+            next: { group: 'Navegación', label: 'Siguiente slide o fragmento', keys: ['ArrowRight', 'Space', 'PageDown'], run: () => this.engine.nextSlide() },
+            prev: { group: 'Navegación', label: 'Slide o fragmento anterior', keys: ['ArrowLeft', 'PageUp'], run: () => this.engine.prevSlide() },
+            first: { group: 'Navegación', label: 'Primer slide', keys: ['Home'], run: () => this.engine.goToSlide(0) },
+            last: { group: 'Navegación', label: 'Último slide', keys: ['End'], run: () => this.engine.goToSlide(this.engine.totalSlides - 1) },
+            overview: { group: 'Navegación', label: 'Vista general', keys: ['O'], run: () => this.engine.overview?.toggle() },
+            search: { group: 'Navegación', label: 'Buscar en slides y notas', keys: ['Ctrl+K', '/'], run: () => this.engine.search?.open() },
+            blackout: { group: 'Pantalla', label: 'Pantalla en negro', keys: ['B', '.'], run: () => this.toggleBlank('black') },
+            whiteout: { group: 'Pantalla', label: 'Pantalla en blanco', keys: ['W'], run: () => this.toggleBlank('white') },
+            fullscreen: { group: 'Pantalla', label: 'Pantalla completa', keys: ['Ctrl+F'], run: () => this.engine.toggleFullscreen() },
+            presenter: { group: 'Pantalla', label: 'Vista del presentador', keys: ['S'], run: () => this.engine.presenter?.open() },
+            theme: { group: 'Pantalla', label: 'Siguiente tema', keys: ['T'], run: () => this.engine.theme?.next() },
+            rehearsal: { group: 'Herramientas', label: 'Modo ensayo', keys: ['R'], run: () => this.engine.rehearsal?.toggle() },
+            autoplay: { group: 'Herramientas', label: 'Avance automático', keys: ['A'], run: () => this.engine.autoplay?.toggle() },
+            calculator: { group: 'Herramientas', label: 'Calculadora de simulación', keys: ['I'], run: () => this.engine.calculator?.toggle() },
+            laser: { group: 'Herramientas', label: 'Puntero láser', keys: ['L'], run: () => this.engine.annotations?.setTool('laser') },
+            pen: { group: 'Herramientas', label: 'Lápiz', keys: ['P'], run: () => this.engine.annotations?.setTool('pen') },
+            highlighter: { group: 'Herramientas', label: 'Resaltador', keys: ['H'], run: () => this.engine.annotations?.setTool('highlighter') },
+            clearAnnotations: { group: 'Herramientas', label: 'Borrar anotaciones', keys: ['X'], run: () => this.engine.annotations?.clear() },
+            escape: { group: 'General', label: 'Salir (herramienta, pantalla completa) o vista general', keys: ['Escape'], run: () => this.escape() },
+            help: { group: 'General', label: 'Mostrar esta ayuda', keys: ['?'], run: () => this.toggleHelp() }
+        };
+
+        this.init();
+    }
+
+    init() {
+        const config = window.presentationConfig?.keyboard || {};
+
+        // Las acciones desconocidas de la configuración se ignoran
+        Object.entries(this.actions).forEach(([action, definition]) => {
+            this.bind(action, config[action] || definition.keys);
+        });
+    }
+
+    // Reemplazar las teclas de una acción ([] la desactiva)
+    bind(action, keys) {
+        if (!this.actions[action]) return false;
+
+        this.bindings.forEach((bound, combo) => {
+            if (bound === action) this.bindings.delete(combo);
+        });
+        [].concat(keys).forEach(key => this.bindings.set(this.normalize(key), action));
+        return true;
+    }
+
+    // "Ctrl+F", "Space", "b" → "ctrl+f", " ", "b"
+    normalize(combo) {
+        const parts = String(combo).split(/\+(?!$)/);
+        let key = parts.pop();
+        const modifiers = parts.map(part => part.toLowerCase());
+
+        if (key === 'Space') key = ' ';
+        if (key.length === 1) key = key.toLowerCase();
+
+        const ctrl = modifiers.some(modifier => ['ctrl', 'control', 'meta', 'cmd'].includes(modifier));
+        const alt = modifiers.includes('alt');
+        return `${ctrl ? 'ctrl+' : ''}${alt ? 'alt+' : ''}${key}`;
+    }
+
+    // Mayúsculas no cuentan: "?" y "A" ya llevan Shift implícito
+    eventCombo(e) {
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        return `${e.ctrlKey || e.metaKey ? 'ctrl+' : ''}${e.altKey ? 'alt+' : ''}${key}`;
+    }
+
+    getAction(e) {
+        return this.bindings.get(this.eventCombo(e)) || null;
+    }
+
+    // Devuelve true si la tecla fue consumida
+    handle(e) {
+        // Con la ayuda abierta cualquier tecla la cierra
+        if (this.helpOverlay?.classList.contains('active')) {
+            e.preventDefault();
+            this.toggleHelp(false);
+            return true;
+        }
+
+        if (this.handleNumber(e)) return true;
+
+        const action = this.getAction(e);
+        if (!action) return false;
+
+        e.preventDefault();
+
+        // Con la pantalla en negro/blanco, la primera tecla solo la restaura
+        if (this.blank && action !== 'blackout' && action !== 'whiteout') {
+            this.setBlank(null);
+            return true;
+        }
+
+        this.actions[action].run();
+        return true;
+    }
+
+    // Dígitos acumulados, Enter para saltar y Retroceso para corregir
+    handleNumber(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+        if (/^[0-9]$/.test(e.key)) {
+            if (this.blank) {
+                this.setBlank(null);
+            } else {
+                this.setBuffer(this.buffer + e.key);
+            }
+            return true;
+        }
+        if (!this.buffer) return false;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.commitBuffer();
+            return true;
+        }
+        if (e.key === 'Backspace') {
+            e.preventDefault();
+            this.setBuffer(this.buffer.slice(0, -1));
+            return true;
+        }
+        return false;
+    }
+
+    setBuffer(value) {
+        this.buffer = value.slice(0, String(this.engine.totalSlides - 1).length);
+        clearTimeout(this.bufferTimer);
+
+        if (this.buffer) {
+            this.bufferTimer = setTimeout(() => this.commitBuffer(), this.bufferDelay);
+        }
+        this.updateGotoIndicator();
+    }
+
+    commitBuffer() {
+        const slideNumber = parseInt(this.buffer, 10);
+        this.setBuffer('');
+
+        // Misma numeración que el índice, la vista general y la búsqueda (portada = 0)
+        if (slideNumber < this.engine.totalSlides) {
+            this.engine.overview?.close();
+            this.engine.goToSlide(slideNumber);
+        }
+    }
+
+    updateGotoIndicator() {
+        if (!this.gotoIndicator) {
+            this.gotoIndicator = document.createElement('div');
+            this.gotoIndicator.className = 'keyboard-goto';
+            this.gotoIndicator.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.gotoIndicator);
+        }
+
+        this.gotoIndicator.textContent = this.buffer
+            ? `Ir al slide ${this.buffer} / ${this.engine.totalSlides - 1}`
+            : '';
+        this.gotoIndicator.classList.toggle('active', !!this.buffer);
+    }
+
+    // Escape: cancelar el número, la pantalla en negro, la herramienta activa o la pantalla completa
+    escape() {
+        if (this.buffer) {
+            this.setBuffer('');
+        } else if (this.engine.annotations?.tool) {
+            this.engine.annotations.setTool(null);
+        } else if (document.fullscreenElement || document.webkitFullscreenElement) {
+            this.engine.exitFullscreen();
+        } else {
+            this.engine.overview?.open();
+        }
+    }
+
+    toggleBlank(color) {
+        this.setBlank(this.blank === color ? null : color);
+    }
+
+    setBlank(color) {
+        if (!this.blankOverlay) {
+            this.blankOverlay = document.createElement('div');
+            this.blankOverlay.className = 'screen-blank';
+            this.blankOverlay.addEventListener('click', () => this.setBlank(null));
+            document.body.appendChild(this.blankOverlay);
+        }
+
+        this.blank = color;
+        this.blankOverlay.classList.toggle('active', !!color);
+        this.blankOverlay.classList.toggle('white', color === 'white');
+
+        // El avance automático se detiene mientras la pantalla está en negro
+        this.engine.autoplay?.schedule();
+    }
+
+    toggleHelp(force) {
+        if (!this.helpOverlay) {
+            this.helpOverlay = document.createElement('div');
+            this.helpOverlay.className = 'keyboard-help';
+            this.helpOverlay.setAttribute('role', 'dialog');
+            this.helpOverlay.setAttribute('aria-modal', 'true');
+            this.helpOverlay.setAttribute('aria-label', 'Atajos de teclado');
+            this.helpOverlay.addEventListener('click', (e) => {
+                if (e.target === this.helpOverlay) this.toggleHelp(false);
+            });
+            document.body.appendChild(this.helpOverlay);
+        }
+
+        const isOpen = !this.helpOverlay.classList.contains('active');
+        const open = force === undefined ? isOpen : force;
+        if (open) this.renderHelp();
+        this.helpOverlay.classList.toggle('active', open);
+    }
+
+    // La lista se genera desde los atajos activos, incluidos los configurados
+    renderHelp() {
+        const groups = {};
+        Object.entries(this.actions).forEach(([action, definition]) => {
+            const keys = [...this.bindings].filter(([, bound]) => bound === action).map(([combo]) => combo);
+            if (!keys.length) return;
+            (groups[definition.group] = groups[definition.group] || []).push({ label: definition.label, keys });
+        });
+        groups['Navegación']?.splice(4, 0, { label: 'Ir al slide número N', keys: ['N', 'Enter'], sequence: true });
+
+        const panel = document.createElement('div');
+        panel.className = 'keyboard-help-panel';
+        panel.innerHTML = '<h2><i class="fas fa-keyboard"></i> Atajos de teclado</h2>';
+
+        Object.entries(groups).forEach(([group, entries]) => {
+            const section = document.createElement('section');
+            section.innerHTML = `<h3>${group}</h3>`;
+
+            const list = document.createElement('dl');
+            entries.forEach(entry => {
+                const keys = document.createElement('dt');
+                keys.innerHTML = entry.keys
+                    .map(combo => `<kbd>${this.formatCombo(combo)}</kbd>`)
+                    .join(entry.sequence ? ' + ' : ' ');
+                const label = document.createElement('dd');
+                label.textContent = entry.label;
+                list.append(keys, label);
+            });
+
+            section.appendChild(list);
+            panel.appendChild(section);
+        });
+
+        this.helpOverlay.replaceChildren(panel);
+    }
+
+    formatCombo(combo) {
+        const names = {
+            ' ': 'Espacio', ArrowRight: '→', ArrowLeft: '←', ArrowUp: '↑', ArrowDown: '↓',
+            PageDown: 'Av Pág', PageUp: 'Re Pág', Home: 'Inicio', End: 'Fin', Escape: 'Esc'
+        };
+
+        return combo.split(/\+(?!$)/).map(part => {
+            if (part === 'ctrl') return 'Ctrl';
+            if (part === 'alt') return 'Alt';
+            const name = names[part] || (part.length === 1 ? part.toUpperCase() : part);
+            return name.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        }).join(' + ');
+    }
+
+    destroy() {
+        clearTimeout(this.bufferTimer);
+        this.blankOverlay?.remove();
+        this.helpOverlay?.remove();
+        this.gotoIndicator?.remove();
+        this.blankOverlay = null;
+        this.helpOverlay = null;
+        this.gotoIndicator = null;
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * DeckLoader - Slides desde Markdown o JSON
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Genera elementos .slide con los componentes existentes de components.css
+ * y slides.css a partir de un archivo de contenido (?deck=content/deck.md).
+ *
+ * Markdown: slides separados por una línea "---". Al inicio de cada slide,
+ * líneas "@clave valor" (@id → data-slide-id, @class → clases, el resto →
+ * data-clave). "Note:" inicia las notas del presentador. Bloques propios:
+ *
+ *   ::: kpis                       - 15 | Años | Descripción | fa-award
+ *   ::: section-cards              - urgency | fa-rocket | Título | Descripción
+ *   ::: investment fragment        - 175000 | Título | fa-user-plus | Subtítulo
+ *                                      - Elemento de la lista
+ *   ::: timeline fragment          - Q1 2026 | Descripción
+ *   :::
+ *
+ * Las palabras tras el tipo de bloque se añaden como clases a cada elemento.
+ * JSON: { "slides": [{ "id", "section", "class", "data", "markdown",
+ * "blocks": [{ "type", "classes", "items": [{ ...campos, "items": [] }] }],
+ * "notes" }] } con los mismos nombres de campo que los bloques.
+ */
+
+class DeckLoader {
+    constructor() {
+        // Colores de acento que se alternan entre elementos de un bloque
+        this.accents = ['--color-accent', '--color-success', '--color-secondary'];
+
+        // Campos por posición en la sintaxis "- a | b | c" de cada bloque
+        this.blocks = {
+            kpis: {
+                fields: ['value', 'label', 'description', 'icon'],
+                container: 'team-metrics',
+                render: (item, index) => this.renderKpi(item, index)
+            },
+            'section-cards': {
+                fields: ['section', 'icon', 'title', 'description'],
+                container: 'index-sections',
+                render: (item) => this.renderSectionCard(item)
+            },
+            investment: {
+                fields: ['amount', 'title', 'icon', 'subtitle'],
+                container: 'investment-grid',
+                render: (item, index) => this.renderInvestment(item, index)
+            },
+            timeline: {
+                fields: ['phase', 'description'],
+                container: 'timeline',
+                render: (item) => this.renderMilestone(item)
+            }
+        };
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`No se pudo cargar ${url} (${response.status})`);
+        }
+
+        const text = await response.text();
+        const isJson = /\.json$/i.test(new URL(url, window.location.href).pathname);
+        return isJson ? this.fromJson(JSON.parse(text)) : this.fromMarkdown(text);
+    }
+
+    // Markdown → lista de elementos .slide
+    fromMarkdown(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .split(/^---[ \t]*$/m)
+            .map(source => source.trim())
+            .filter(Boolean)
+            .map(source => this.parseMarkdownSlide(source));
+    }
+
+    parseMarkdownSlide(source) {
+        const lines = source.split('\n');
+        const attributes = {};
+
+        // Directivas "@clave valor" al inicio del slide
+        while (lines.length && /^@[\w-]+/.test(lines[0].trim())) {
+            const [, key, value = ''] = lines.shift().trim().match(/^@([\w-]+)\s*(.*)$/);
+            attributes[key] = value;
+        }
+
+        // Notas del presentador tras "Note:"
+        const noteIndex = lines.findIndex(line => /^Note:/i.test(line.trim()));
+        let notes = '';
+        if (noteIndex >= 0) {
+            const noteLines = lines.splice(noteIndex);
+            noteLines[0] = noteLines[0].trim().replace(/^Note:\s*/i, '');
+            notes = noteLines.join('\n');
+        }
+
+        return this.createSlide(attributes, this.renderMarkdown(lines.join('\n')), notes);
+    }
+
+    // JSON → lista de elementos .slide
+    fromJson(deck) {
+        const slides = Array.isArray(deck) ? deck : deck.slides || [];
+
+        return slides.map(slide => {
+            const attributes = { ...(slide.data || {}) };
+            if (slide.id) attributes.id = slide.id;
+            if (slide.section) attributes.section = slide.section;
+            if (slide.title) attributes.title = slide.title;
+            if (slide.class) attributes.class = slide.class;
+
+            let html = slide.markdown ? this.renderMarkdown(slide.markdown) : '';
+            (slide.blocks || []).forEach(block => {
+                html += this.renderBlock(block.type, block.items || [], this.toClassList(block.classes));
+            });
+
+            return this.createSlide(attributes, html, slide.notes || '');
+        });
+    }
+
+    createSlide(attributes, html, notes) {
+        const slide = document.createElement('div');
+        slide.className = 'slide';
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            if (key === 'id') {
+                slide.dataset.slideId = value;
+            } else if (key === 'class') {
+                slide.classList.add(...this.toClassList(value));
+            } else {
+                slide.setAttribute(`data-${key}`, value);
+            }
+        });
+
+        if (notes.trim()) {
+            const aside = document.createElement('aside');
+            aside.className = 'notes';
+            aside.innerHTML = this.renderMarkdown(notes);
+            slide.appendChild(aside);
+        }
+
+        const content = document.createElement('div');
+        content.className = 'slide-content';
+        content.innerHTML = html;
+        slide.appendChild(content);
+
+        return slide;
+    }
+
+    toClassList(value) {
+        if (Array.isArray(value)) return value.filter(Boolean);
+        return String(value || '').split(/\s+/).filter(Boolean);
+    }
+
+    // Subconjunto de Markdown: títulos, párrafos, listas, citas y bloques propios
+    renderMarkdown(text) {
+        const lines = text.split('\n');
+        const output = [];
+        let paragraph = [];
+        let list = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length) {
+                output.push(`<p>${this.renderInline(paragraph.join(' '))}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list.length) {
+                output.push(`<ul>${list.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</ul>`);
+                list = [];
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            // Bloque propio ::: tipo clases ... :::
+            const blockMatch = line.match(/^:::\s*([\w-]+)(.*)$/);
+            if (blockMatch) {
+                flushParagraph();
+                flushList();
+
+                const body = [];
+                while (++i < lines.length && lines[i].trim() !== ':::') {
+                    body.push(lines[i]);
+                }
+                const [, type, classes] = blockMatch;
+                output.push(this.renderBlock(type, this.parseBlockItems(type, body), this.toClassList(classes)));
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,4})\s+(.*)$/);
+            if (heading) {
+                flushParagraph();
+                flushList();
+                const level = heading[1].length;
+                output.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+            } else if (/^[-*]\s+/.test(line)) {
+                flushParagraph();
+                list.push(line.replace(/^[-*]\s+/, ''));
+            } else if (line.startsWith('>')) {
+                flushParagraph();
+                flushList();
+                output.push(`<div class="cta-section"><h2>${this.renderInline(line.replace(/^>\s*/, ''))}</h2></div>`);
+            } else if (!line) {
+                flushParagraph();
+                flushList();
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+        }
+
+        flushParagraph();
+        flushList();
+        return output.join('\n');
+    }
+
+    // **negrita**, *cursiva*, `código`, ^superíndice^ y [enlaces](url); sin HTML crudo
+    renderInline(text) {
+        return PresentationEngine.escapeHtml(text)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(.+?)\*/g, '<em>$1</em>')
+            .replace(/`(.+?)`/g, '<code>$1</code>')
+            .replace(/\^(.+?)\^/g, '<sup>$1</sup>')
+            .replace(/\[(.+?)\]\((https?:\/\/[^\s)]+|#[^\s)]*)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+    }
+
+    // "- a | b | c" con sublistas sangradas → objetos con los campos del bloque
+    parseBlockItems(type, lines) {
+        const fields = this.blocks[type]?.fields || [];
+        const items = [];
+
+        lines.forEach(raw => {
+            if (!raw.trim()) return;
+
+            const isChild = /^\s{2,}[-*]\s+/.test(raw);
+            const text = raw.trim().replace(/^[-*]\s+/, '');
+
+            if (isChild && items.length) {
+                const parent = items[items.length - 1];
+                (parent.items = parent.items || []).push(text);
+                return;
+            }
+
+            const item = {};
+            text.split('|').map(part => part.trim()).forEach((value, index) => {
+                if (fields[index] && value) item[fields[index]] = value;
+            });
+            items.push(item);
+        });
+
+        return items;
+    }
+
+    renderBlock(type, items, classes = []) {
+        // Un bloque desconocido se omite sin interrumpir el resto del slide
+        const block = this.blocks[type];
+        if (!block) return '';
+
+        const html = items.map((item, index) => {
+            const element = document.createElement('template');
+            element.innerHTML = block.render(item, index).trim();
+            element.content.firstElementChild?.classList.add(...classes);
+            return element.innerHTML;
+        }).join('\n');
+
+        return `<div class="${block.container}">${html}</div>`;
+    }
+
+    // Valor con formato ("$350,000", "100%", "6+") → atributos de MetricAnimator
+    parseNumber(value) {
+        const match = String(value).match(/^([^\d-]*)(-?[\d,]*\.?\d+)(.*)$/);
+        if (!match) return null;
+
+        const [, prefix, digits, suffix] = match;
+        const attributes = { 'data-animate-number': digits.replace(/,/g, '') };
+
+        if (suffix.trim() === '%') {
+            attributes['data-format'] = 'percent';
+        } else if (prefix.trim() === '$' && !suffix.trim()) {
+            attributes['data-format'] = 'currency';
+        } else {
+            if (prefix) attributes['data-prefix'] = prefix;
+            if (suffix) attributes['data-suffix'] = suffix;
+        }
+        return attributes;
+    }
+
+    renderNumber(className, value) {
+        const attributes = this.parseNumber(value) || {};
+        const attributeText = Object.entries(attributes)
+            .map(([name, attributeValue]) => ` ${name}="${PresentationEngine.escapeHtml(attributeValue)}"`)
+            .join('');
+        return `<div class="${className}"${attributeText}>${PresentationEngine.escapeHtml(value)}</div>`;
+    }
+
+    renderIcon(className, icon, color) {
+        if (!icon) return '';
+        const style = color ? ` style="color: var(${color});"` : '';
+        return `<div class="${className}"${style}><i class="fas ${PresentationEngine.escapeHtml(icon)}"></i></div>`;
+    }
+
+    renderKpi(item, index) {
+        const color = this.accents[index % this.accents.length];
+        return `
+            <div class="metric-card">
+                ${this.renderIcon('metric-icon', item.icon, color)}
+                ${this.renderNumber('metric-number', item.value)}
+                <div class="metric-label">${this.renderInline(item.label)}</div>
+                ${item.description ? `<div class="metric-description">${this.renderInline(item.description)}</div>` : ''}
+            </div>`;
+    }
+
+    // El número y el rango de slides los completa PresentationEngine.renderSectionCards
+    renderSectionCard(item) {
+        return `
+            <div class="section-card" data-section="${PresentationEngine.escapeHtml(item.section)}">
+                <span class="section-number"></span>
+                <div class="section-icon"><i class="fas ${PresentationEngine.escapeHtml(item.icon)}"></i></div>
+                <h3 class="section-title">${this.renderInline(item.title)}</h3>
+                <p class="section-description">${this.renderInline(item.description)}</p>
+                <span class="section-slides"></span>
+            </div>`;
+    }
+
+    renderInvestment(item, index) {
+        // Mismo orden de colores que la diapositiva original: secundario, éxito, acento
+        const accents = [...this.accents].reverse();
+        const color = accents[index % accents.length];
+        const amount = parseFloat(String(item.amount).replace(/[^\d.]/g, '')) || 0;
+        const label = new Intl.NumberFormat('en-US', { notation: 'compact' }).format(amount);
+        const list = (item.items || []).map(entry => `<li>${this.renderInline(entry)}</li>`).join('');
+
+        return `
+            <div class="investment-section" style="border-left-color: var(${color});">
+                <div class="investment-header">
+                    ${this.renderIcon('investment-icon', item.icon, color)}
+                    <h3>${this.renderInline(item.title)}</h3>
+                    <div class="investment-amount" data-animate-number="${amount}" data-format="compact" data-prefix="$">$${label}</div>
+                </div>
+                ${item.subtitle ? `<p class="investment-subtitle">${this.renderInline(item.subtitle)}</p>` : ''}
+                ${list ? `<ul class="investment-list">${list}</ul>` : ''}
+            </div>`;
+    }
+
+    renderMilestone(item) {
+        return `
+            <div class="milestone">
+                <div class="milestone-phase">${this.renderInline(item.phase)}</div>
+                <div class="milestone-description">${this.renderInline(item.description)}</div>
+            </div>`;
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * OfflineSupport - Uso sin conexión y exportación a un único HTML
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Registra el service worker (sw.js) cuando la presentación se sirve por
+ * http(s) y genera un archivo HTML autónomo con estilos, scripts y fuentes
+ * de iconos embebidos para enviarlo por correo. Si la exportación falla se
+ * indica en el propio botón y se emite 'exporterror'.
+ */
+
+class OfflineSupport {
+    constructor(engine) {
+        this.engine = engine;
+        this.button = document.getElementById('downloadBtn');
+        this.isExporting = false;
+        this.failureTimer = null;
+        this.buttonTitle = this.button?.title || '';
+
+        // Recursos referenciados desde CSS que se embeben como data URI
+        this.inlineExtensions = ['woff2', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'];
+
+        this.init();
+    }
+
+    init() {
+        this.register();
+        this.engine.listen(this.button, 'click', () => this.exportStandalone());
+    }
+
+    register() {
+        const params = new URLSearchParams(window.location.search);
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol) || params.has('no-sw')) return;
+
+        // Sin service worker la presentación funciona igual, solo que no sin conexión
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    }
+
+    // Genera y descarga presentation.html con todo embebido
+    async exportStandalone() {
+        if (this.isExporting) return;
+
+        this.isExporting = true;
+        this.clearFailure();
+        this.button?.classList.add('busy');
+
+        try {
+            const html = await this.buildStandalone(window.location.href);
+            this.download(html, 'presentation.html');
+        } catch (error) {
+            this.showFailure();
+            this.engine.emit('exporterror', { error });
+        } finally {
+            this.isExporting = false;
+            this.button?.classList.remove('busy');
+        }
+    }
+
+    // Aviso en el botón sin interrumpir la presentación
+    showFailure() {
+        if (!this.button) return;
+
+        this.button.classList.add('failed');
+        this.button.title = 'No se pudo generar el archivo (abra la presentación desde un servidor http)';
+        this.failureTimer = setTimeout(() => this.clearFailure(), 6000);
+    }
+
+    clearFailure() {
+        clearTimeout(this.failureTimer);
+        if (!this.button) return;
+
+        this.button.classList.remove('failed');
+        this.button.title = this.buttonTitle;
+    }
+
+    async buildStandalone(pageUrl) {
+        // Partir del HTML original, no del DOM ya modificado por el motor
+        const source = await this.fetchText(new URL(window.location.pathname, pageUrl));
+        const doc = new DOMParser().parseFromString(source, 'text/html');
+
+        // Slides cargados desde Markdown/JSON: embeber el contenido generado
+        if (this.engine.deckUrl) {
+            const slides = await this.engine.loader.load(this.engine.deckUrl);
+            const container = doc.getElementById('presentationContainer');
+            container.querySelectorAll(':scope > .slide').forEach(slide => slide.remove());
+            slides[0]?.classList.add('active');
+            container.prepend(...slides.map(slide => doc.importNode(slide, true)));
+            container.removeAttribute('data-deck');
+        }
+
+        for (const link of doc.querySelectorAll('link[rel="stylesheet"][href]')) {
+            const url = new URL(link.getAttribute('href'), pageUrl);
+            const style = doc.createElement('style');
+
+            // Si no se puede descargar se conserva el enlace original
+            try {
+                style.textContent = await this.inlineCssUrls(await this.fetchText(url), url);
+            } catch (error) {
+                continue;
+            }
+            link.replaceWith(style);
+        }
+
+        for (const script of doc.querySelectorAll('script[src]')) {
+            const url = new URL(script.getAttribute('src'), pageUrl);
+            const code = await this.fetchText(url);
+            script.removeAttribute('src');
+            script.textContent = code.replace(/<\/script/gi, '<\\/script');
+        }
+
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+    }
+
+    async fetchText(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${url}`);
+        return response.text();
+    }
+
+    // Sustituir url(...) de fuentes e imágenes por data URIs
+    async inlineCssUrls(css, baseUrl) {
+        const matches = [...css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)];
+        const replacements = new Map();
+
+        for (const [, , reference] of matches) {
+            if (reference.startsWith('data:') || replacements.has(reference)) continue;
+
+            const url = new URL(reference, baseUrl);
+            const extension = url.pathname.split('.').pop().toLowerCase();
+            if (!this.inlineExtensions.includes(extension)) continue;
+
+            // Si falla se conserva la referencia original
+            try {
+                replacements.set(reference, await this.fetchDataUri(url));
+            } catch (error) {
+                continue;
+            }
+        }
+
+        return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, reference) => {
+            return replacements.has(reference) ? `url("${replacements.get(reference)}")` : match;
+        });
+    }
+
+    async fetchDataUri(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${url}`);
+
+        const blob = await response.blob();
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    download(content, filename) {
+        const url = URL.createObjectURL(new Blob([content], { type: 'text/html' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * SlideOverview - Vista general de slides (modo clasificador)
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Muestra todos los slides como miniaturas agrupadas por sección.
+ * Se navega con clic o con las flechas del teclado y Enter.
+ */
+
+class SlideOverview {
+    constructor(engine) {
+        this.engine = engine;
+        this.isOpen = false;
+        this.selectedIndex = 0;
+        this.items = [];
+        this.overlay = null;
+        this.resizeTimeout = null;
+
+        this.init();
+    }
+
+    init() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'slide-overview';
+        document.body.appendChild(this.overlay);
+
+        this.engine.listen(window, 'resize', () => {
+            if (!this.isOpen) return;
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => this.render(), 150);
+        });
+
+        // Cambios de slide con la vista abierta (atajos, remoto, avance automático)
+        this.engine.on('slidechanged', ({ index }) => {
+            if (!this.isOpen) return;
+            this.selectedIndex = index;
+            this.render();
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.selectedIndex = this.engine.currentSlide;
+        document.body.classList.add('overview-mode');
+        this.overlay.classList.add('active');
+        this.render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        document.body.classList.remove('overview-mode');
+        this.overlay.classList.remove('active');
+        this.overlay.replaceChildren();
+        this.items = [];
+    }
+
+    destroy() {
+        this.close();
+        clearTimeout(this.resizeTimeout);
+        this.overlay.remove();
+    }
+
+    select(index) {
+        this.close();
+        this.engine.goToSlide(index);
+    }
+
+    render() {
+        const { engine } = this;
+
+        // Tamaño de miniatura usando la misma escala de ajuste que scaleToFit
+        const padding = 48;
+        const gap = 24;
+        const columns = window.innerWidth < 900 ? 2 : window.innerWidth < 1400 ? 3 : 4;
+        const cellWidth = (window.innerWidth - padding * 2 - gap * (columns - 1)) / columns;
+        const thumbWidth = engine.baseWidth * engine.getFitScale(cellWidth, cellWidth * engine.baseHeight / engine.baseWidth);
+
+        this.overlay.replaceChildren();
+        this.overlay.style.setProperty('--overview-columns', columns);
+        this.items = [];
+
+        // Agrupar slides por sección
+        const groups = [];
+        engine.slides.forEach((slide, index) => {
+            const section = engine.getSectionForSlide(index);
+            const key = section ? section.key : null;
+            let group = groups[groups.length - 1];
+
+            if (!group || group.key !== key) {
+                group = { key, section, slides: [] };
+                groups.push(group);
+            }
+            group.slides.push(index);
+        });
+
+        groups.forEach(group => {
+            const groupEl = document.createElement('section');
+            groupEl.className = 'overview-group';
+            if (group.section) {
+                groupEl.dataset.section = group.section.number;
+            }
+
+            const heading = document.createElement('h3');
+            heading.className = 'overview-group-title';
+            heading.textContent = group.section
+                ? `${group.section.number}. ${group.section.title}`
+                : 'Inicio';
+            groupEl.appendChild(heading);
+
+            const grid = document.createElement('div');
+            grid.className = 'overview-grid';
+
+            group.slides.forEach(index => {
+                const item = document.createElement('button');
+                item.className = 'overview-item';
+                item.dataset.slide = index;
+
+                // Reflejar el sistema de clases prev/active de showSlide
+                if (index < engine.currentSlide) item.classList.add('prev');
+                if (index === engine.currentSlide) item.classList.add('active');
+
+                const label = document.createElement('span');
+                label.className = 'overview-item-label';
+                label.textContent = `${index}. ${engine.getSlideTitle(index)}`;
+
+                item.appendChild(engine.createSlideThumbnail(index, thumbWidth));
+                item.appendChild(label);
+                item.addEventListener('click', () => this.select(index));
+
+                grid.appendChild(item);
+                this.items[index] = item;
+            });
+
+            groupEl.appendChild(grid);
+            this.overlay.appendChild(groupEl);
+        });
+
+        this.highlight(this.selectedIndex);
+    }
+
+    highlight(index) {
+        this.items.forEach(item => item.classList.remove('selected'));
+
+        const item = this.items[index];
+        if (!item) return;
+
+        this.selectedIndex = index;
+        item.classList.add('selected');
+        item.focus({ preventScroll: true });
+        item.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Buscar el item más cercano hacia arriba o abajo según su posición en pantalla
+    findVertical(direction) {
+        const current = this.items[this.selectedIndex].getBoundingClientRect();
+        let best = null;
+        let bestScore = Infinity;
+
+        this.items.forEach((item, index) => {
+            const rect = item.getBoundingClientRect();
+            const dy = (rect.top - current.top) * direction;
+            if (dy <= 1) return;
+
+            const score = dy * 1000 + Math.abs(rect.left - current.left);
+            if (score < bestScore) {
+                bestScore = score;
+                best = index;
+            }
+        });
+
+        return best;
+    }
+
+    // Devuelve true si la tecla fue consumida por la vista general
+    handleKeyboard(e) {
+        const last = this.items.length - 1;
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowRight':
+                target = Math.min(this.selectedIndex + 1, last);
+                break;
+            case 'ArrowLeft':
+                target = Math.max(this.selectedIndex - 1, 0);
+                break;
+            case 'ArrowDown':
+                target = this.findVertical(1);
+                break;
+            case 'ArrowUp':
+                target = this.findVertical(-1);
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = last;
+                break;
+            case 'Enter':
+                // Número escrito antes de Enter: salto de assets/js/keyboard.js
+                if (this.engine.keyboard?.buffer) return false;
+                e.preventDefault();
+                this.select(this.selectedIndex);
+                return true;
+            case ' ':
+                e.preventDefault();
+                this.select(this.selectedIndex);
+                return true;
+            case 'Escape':
+            case 'o':
+            case 'O':
+                e.preventDefault();
+                this.close();
+                return true;
+            default:
+                // El resto de atajos (ayuda, pantalla en negro, números…) siguen activos
+                return false;
+        }
+
+        e.preventDefault();
+        if (target !== null) {
+            this.highlight(target);
+        }
+        return true;
+    }
+}
@@ -8,87 +8,120 @@ class PresentationEngine {
         this.baseWidth = 1920;
         this.baseHeight = 1080;
         this.currentSlide = 0;
-        this.slides = document.querySelectorAll('.slide');
-        this.indicators = document.querySelectorAll('.indicator');
-        this.totalSlides = this.slides.length;
+        this.currentFragment = -1;
         this.container = document.getElementById('presentationContainer');
+        this.slides = this.container.querySelectorAll(':scope > .slide');
+        this.totalSlides = this.slides.length;
         this.isTransitioning = false;
         this.isScaling = false;
         this.resizeTimeout = null;
+
+        // Animaciones declarativas de números y gráficos
+        this.animator = new MetricAnimator();
+
+        // Contenido externo en Markdown o JSON (?deck=content/deck.md)
+        this.loader = new DeckLoader();
+        this.deckUrl = null;
+
+        // Accesibilidad: región de anuncios y preferencia de movimiento reducido
+        this.announcer = document.getElementById('slideAnnouncer');
+        this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
         
         // Section indicator configuration
         this.sectionIndicator = document.getElementById('sectionIndicator');
         this.sectionIndicatorTimer = null;
-        this.sections = [
-            {
-                number: 1,
-                icon: 'fas fa-exclamation-triangle',
-                title: 'The Urgency',
-                description: 'Why transformation can\'t wait: talent loss, productivity gaps, and competitive disadvantage',
-                slides: 'SLIDES 1-3',
-                startSlide: 1,
-                endSlide: 3
-            },
-            {
-                number: 2,
-                icon: 'fas fa-bridge',
-                title: 'Our Solution',
-                description: 'The missing bridge: a hybrid team that unites business expertise with technical capability',
-                slides: 'SLIDES 4-5',
-                startSlide: 4,
-                endSlide: 5
-            },
-            {
-                number: 3,
-                icon: 'fas fa-rocket',
-                title: 'The Path Forward',
-                description: '2026 transformation roadmap: investment, deliverables, and expected impact',
-                slides: 'SLIDES 6-8',
-                startSlide: 6,
-                endSlide: 8
-            },
-            {
-                number: 4,
-                icon: 'fas fa-chess-queen',
-                title: 'The Decision',
-                description: 'Invest now to build proprietary advantage or continue losing ground to competitors',
-                slides: 'SLIDE 9',
-                startSlide: 9,
-                endSlide: 9
-            }
-        ];
+
+        // Efectos de transición entre slides (data-transition)
+        this.transitions = null;
+
+        // Vista del presentador (ventana compañera con notas)
+        this.presenter = null;
+
+        // Vista general de slides
+        this.overview = null;
+
+        // Exportación a PDF / impresión
+        this.printer = null;
+
+        // Avance automático (modo kiosco)
+        this.autoplay = null;
+
+        // Calculadora what-if (bloques data-calculator)
+        this.calculator = null;
+
+        // Sincronización remota por WebSocket (?sync)
+        this.sync = null;
+
+        // Anotaciones sobre el slide (láser, lápiz, resaltador)
+        this.annotations = null;
+
+        // Temas de color (oscuro, claro, alto contraste, corporativos)
+        this.theme = null;
+
+        // Uso sin conexión y exportación a HTML autónomo
+        this.offline = null;
+
+        // Layout documento en teléfonos (slides apilados y desplazables)
+        this.reflow = null;
+
+        // Modo ensayo: tiempos por slide y por sección
+        this.rehearsal = null;
+
+        // Atajos de teclado, pantalla en negro y ayuda (tecla ?)
+        this.keyboard = null;
+
+        // Búsqueda de texto en slides y notas (Ctrl+K o /)
+        this.search = null;
+
+        // Eventos, plugins y listeners registrados (para destroy)
+        this.events = {};
+        this.plugins = [];
+        this.listeners = [];
+        this.isReady = false;
+
+        // Secciones derivadas del markup (data-section en cada .slide)
+        this.sections = this.buildSections();
+
+        // Indicadores de navegación generados desde la lista de slides
+        this.indicators = this.buildIndicators();
 
         this.init();
     }
 
     init() {
         // Configurar eventos de botones
-        document.getElementById('prevBtn')?.addEventListener('click', () => this.prevSlide());
-        document.getElementById('nextBtn')?.addEventListener('click', () => this.nextSlide());
-        document.getElementById('fullscreenBtn')?.addEventListener('click', () => this.toggleFullscreen());
+        this.listen(document.getElementById('prevBtn'), 'click', () => this.prevSlide());
+        this.listen(document.getElementById('nextBtn'), 'click', () => this.nextSlide());
+        this.listen(document.getElementById('fullscreenBtn'), 'click', () => this.toggleFullscreen());
+        this.listen(document.getElementById('presenterBtn'), 'click', () => this.presenter?.open());
+        this.listen(document.getElementById('overviewBtn'), 'click', () => this.overview?.toggle());
+        this.listen(document.getElementById('printBtn'), 'click', () => this.printer?.print());
+        this.listen(document.getElementById('autoplayBtn'), 'click', () => this.autoplay?.toggle());
 
-        // Configurar indicadores
-        this.indicators.forEach((indicator, index) => {
-            indicator.addEventListener('click', () => this.goToSlide(index));
-        });
+        // Cards del índice: navegar al inicio de su sección
+        this.renderSectionCards();
 
         // Teclado
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        this.listen(document, 'keydown', (e) => this.handleKeyboard(e));
 
         // Touch/swipe support
         this.initTouchSupport();
 
         // Resize con debounce para evitar múltiples llamadas
-        window.addEventListener('resize', () => {
+        this.listen(window, 'resize', () => {
             clearTimeout(this.resizeTimeout);
             this.resizeTimeout = setTimeout(() => this.scaleToFit(), 150);
         });
-        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
+        this.listen(document, 'fullscreenchange', () => this.handleFullscreenChange());
+        this.listen(document, 'webkitfullscreenchange', () => this.handleFullscreenChange());
+
+        // Historial del navegador: Atrás/Adelante recorren los slides
+        this.listen(window, 'popstate', () => this.handleHashChange());
+        this.listen(window, 'hashchange', () => this.handleHashChange());
 
         // Detector de movimiento del mouse para mostrar navegación en fullscreen
         this.mouseTimer = null;
-        document.addEventListener('mousemove', () => {
+        this.listen(document, 'mousemove', () => {
             const isFullscreen = document.fullscreenElement || document.webkitFullscreenElement;
             if (isFullscreen) {
                 this.showNavigation();
@@ -108,21 +141,260 @@ class PresentationEngine {
                 this.currentSlide = index;
             }
         });
+        this.updateFragments(this.currentSlide);
+        this.updateIndicators(this.currentSlide);
+        this.updateProgressBar(this.currentSlide);
+
+        // Semántica ARIA de slides e indicadores
+        this.initAccessibility();
+        this.updateAccessibility(this.currentSlide);
+
+        // Transiciones (?transition=fade o data-transition en cada slide)
+        this.transitions = new SlideTransitions(this);
+
+        // Vista del presentador y sincronización entre ventanas
+        this.presenter = new PresenterView(this);
+        this.presenter.render();
+
+        // Vista general (grilla de miniaturas)
+        this.overview = new SlideOverview(this);
+
+        // Exportación a PDF (?print-pdf)
+        this.printer = new PrintExport(this);
+
+        // Avance automático (?autoplay o tecla A)
+        this.autoplay = new AutoPlay(this);
+
+        // Calculadora de inversión (tecla I)
+        this.calculator = new InvestmentCalculator(this);
+
+        // Control remoto y audiencia (?sync&role=leader|follower)
+        this.sync = new SyncClient(this);
+
+        // Capa de anotaciones (teclas L, P, H y X)
+        this.annotations = new AnnotationLayer(this);
+
+        // Temas (?theme=dark, tecla T o selector de la navegación)
+        this.theme = new ThemeManager(this);
+
+        // Service worker y descarga de un único HTML
+        this.offline = new OfflineSupport(this);
 
-        // Iniciar animaciones
-        this.initAnimations();
+        // Layout documento en pantallas estrechas (?layout=document|slides)
+        this.reflow = new ReflowLayout(this);
+
+        // Modo ensayo (?rehearse, tecla R)
+        this.rehearsal = new RehearsalRecorder(this);
+
+        // Atajos de teclado (window.presentationConfig.keyboard para cambiarlos)
+        this.keyboard = new KeyboardCommands(this);
+
+        // Panel de búsqueda con resultados ordenados y resaltado
+        this.search = new SlideSearch(this);
+
+        // Slide inicial desde la URL (#/3 o #the-decision)
+        const initialSlide = this.getSlideFromHash();
+        if (initialSlide !== null && initialSlide !== this.currentSlide) {
+            this.showSlide(initialSlide, { updateHistory: false });
+        } else {
+            // Iniciar animaciones
+            this.initAnimations();
+        }
+
+        // Motor listo: inicializar plugins pendientes y notificar
+        this.isReady = true;
+        this.plugins.forEach(plugin => plugin.init?.(this));
+        setTimeout(() => this.emit('ready', this.getState()), 0);
+
+        // Reemplazar los slides del HTML por el contenido externo
+        const deckUrl = new URLSearchParams(window.location.search).get('deck') || this.container.dataset.deck;
+        if (deckUrl) {
+            this.loadDeck(deckUrl);
+        }
+    }
+
+    // Cargar slides desde Markdown o JSON y reiniciar la navegación con ellos
+    async loadDeck(url) {
+        this.container.classList.add('deck-loading');
+
+        try {
+            const slides = await this.loader.load(url);
+            this.deckUrl = url;
+            this.replaceSlides(slides);
+        } catch (error) {
+            // Se conservan los slides del HTML; los plugins pueden avisar del fallo
+            this.emit('deckerror', { url, error });
+        } finally {
+            this.container.classList.remove('deck-loading');
+        }
+    }
+
+    replaceSlides(slides) {
+        this.slides.forEach(slide => slide.remove());
+        this.container.prepend(...slides);
+        this.refreshSlides();
+    }
+
+    // Volver a leer los slides del contenedor tras cambiar su contenido
+    refreshSlides() {
+        this.overview?.close();
+
+        this.slides = this.container.querySelectorAll(':scope > .slide');
+        this.totalSlides = this.slides.length;
+        this.sections = this.buildSections();
+        this.indicators = this.buildIndicators();
+        this.renderSectionCards();
+        this.initAccessibility();
+
+        // Subsistemas ligados al contenido de cada slide
+        this.calculator?.destroy();
+        this.calculator = new InvestmentCalculator(this);
+        this.annotations?.strokes.clear();
+
+        this.emit('slideschanged', { totalSlides: this.totalSlides, source: this.deckUrl });
+
+        this.transitions?.reset();
+        this.isTransitioning = false;
+        this.currentFragment = -1;
+        this.showSlide(this.getSlideFromHash() ?? 0, { updateHistory: false });
+
+        // En modo impresión los slides generados también van uno por página
+        this.printer?.refresh();
+    }
+
+    // Registrar un listener del DOM para poder retirarlo en destroy()
+    listen(target, type, handler, options) {
+        if (!target) return;
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Emisor de eventos: slidechanged, sectionchanged, fullscreenchange, ready, fragmentshown, fragmenthidden, themechanged, slideschanged, deckerror, exporterror
+    on(type, handler) {
+        if (!this.events[type]) this.events[type] = new Set();
+        this.events[type].add(handler);
+
+        // Si el motor ya está listo, notificar de inmediato
+        if (type === 'ready' && this.isReady) {
+            setTimeout(() => handler(this.getState()), 0);
+        }
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.events[type]?.delete(handler);
+    }
+
+    emit(type, detail) {
+        this.events[type]?.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                // Sin interrumpir al resto de listeners; el error llega a window.onerror
+                setTimeout(() => {
+                    throw error;
+                }, 0);
+            }
+        });
+    }
+
+    // Plugins: { init(engine), destroy(engine) }
+    registerPlugin(plugin) {
+        if (!plugin || this.plugins.includes(plugin)) return;
+
+        this.plugins.push(plugin);
+        if (this.isReady) {
+            plugin.init?.(this);
+        }
+    }
+
+    // API pública de estado
+    getState() {
+        return {
+            slide: this.currentSlide,
+            fragment: this.currentFragment,
+            totalSlides: this.totalSlides,
+            section: this.getSectionForSlide(this.currentSlide)?.key ?? null,
+            overview: !!this.overview?.isOpen,
+            fullscreen: !!(document.fullscreenElement || document.webkitFullscreenElement),
+            theme: this.theme?.current ?? null
+        };
+    }
+
+    setState(state = {}) {
+        if (typeof state.theme === 'string') {
+            this.setTheme(state.theme);
+        }
+
+        if (typeof state.overview === 'boolean') {
+            state.overview ? this.overview?.open() : this.overview?.close();
+        }
+
+        if (Number.isInteger(state.slide) && state.slide >= 0 && state.slide < this.totalSlides) {
+            const fragment = typeof state.fragment === 'number' ? state.fragment : -1;
+            if (state.slide !== this.currentSlide) {
+                // Por la cola de órdenes: no se pierde durante una transición
+                this.goToSlide(state.slide, fragment);
+            } else if (fragment !== this.currentFragment) {
+                this.showFragment(fragment);
+            }
+        }
+    }
+
+    setTheme(name) {
+        return this.theme ? this.theme.apply(name) : false;
+    }
+
+    getTotalSlides() {
+        return this.totalSlides;
+    }
+
+    destroy() {
+        this.plugins.forEach(plugin => plugin.destroy?.(this));
+        this.plugins = [];
+
+        this.transitions?.destroy();
+        this.presenter?.destroy();
+        this.overview?.destroy();
+        this.printer?.destroy();
+        this.autoplay?.destroy();
+        this.calculator?.destroy();
+        this.sync?.destroy();
+        this.annotations?.destroy();
+        this.theme?.destroy();
+        this.reflow?.destroy();
+        this.rehearsal?.destroy();
+        this.keyboard?.destroy();
+        this.search?.destroy();
+
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+
+        clearTimeout(this.resizeTimeout);
+        clearTimeout(this.mouseTimer);
+        clearTimeout(this.sectionIndicatorTimer);
+
+        this.events = {};
+        this.isReady = false;
     }
 
     initTouchSupport() {
         let touchStartX = 0;
         let touchStartY = 0;
 
-        this.container.addEventListener('touchstart', (e) => {
+        this.listen(this.container, 'touchstart', (e) => {
+            // Arrastrar un deslizador, dibujar o desplazarse en el layout documento no cambia de slide
+            if (this.isFormField(e.target) || this.annotations?.tool || this.reflow?.isEnabled) {
+                touchStartX = null;
+                return;
+            }
             touchStartX = e.touches[0].clientX;
             touchStartY = e.touches[0].clientY;
         });
 
-        this.container.addEventListener('touchend', (e) => {
+        this.listen(this.container, 'touchend', (e) => {
+            if (touchStartX === null) return;
+
             const touchEndX = e.changedTouches[0].clientX;
             const touchEndY = e.changedTouches[0].clientY;
             const deltaX = touchStartX - touchEndX;
@@ -139,69 +411,45 @@ class PresentationEngine {
     }
 
     initAnimations() {
+        // En modo impresión las animaciones ya están en su estado final
+        if (this.printer?.isEnabled) return;
+
+        // Con movimiento reducido se muestran directamente los valores finales
+        if (this.prefersReducedMotion()) {
+            this.finishAnimations(this.slides[this.currentSlide]);
+            return;
+        }
+
         // Animar números cuando el slide esté activo
         this.animateNumbers();
 
-        // Animar gráfico circular en Slide 3
+        // Animar anillos de progreso
         this.animateCircularProgress();
     }
 
     animateNumbers() {
-        const animateValue = (element, start, end, duration) => {
-            if (!element) return;
-
-            const range = end - start;
-            const increment = end > start ? 1 : -1;
-            const stepTime = Math.abs(Math.floor(duration / range));
-            let current = start;
-
-            const timer = setInterval(() => {
-                current += increment;
-                element.textContent = current + (element.dataset.suffix || '');
-                if (current === end) {
-                    clearInterval(timer);
-                }
-            }, stepTime);
-        };
-
-        // Animar números en slides activos
-        const activeSlide = this.slides[this.currentSlide];
-        activeSlide.querySelectorAll('[data-animate-number]').forEach(el => {
-            const endValue = parseInt(el.dataset.animateNumber);
-            animateValue(el, 0, endValue, 1000);
-        });
+        // Animar números en slides activos (data-animate-number)
+        this.animator.animateNumbers(this.slides[this.currentSlide]);
     }
 
     animateCircularProgress() {
-        const activeSlide = this.slides[this.currentSlide];
-        if (!activeSlide) return;
-
-        const progressRing = activeSlide.querySelector('.progress-ring');
-        if (progressRing) {
-            // PASO 1: Remover transición temporalmente para reset instantáneo
-            progressRing.style.transition = 'none';
-            progressRing.style.animation = 'none';
-
-            // PASO 2: Forzar estado inicial (vacío) inmediatamente
-            progressRing.style.strokeDashoffset = '628.3';
-
-            // PASO 3: Forzar reflow para que el navegador aplique el cambio
-            void progressRing.offsetWidth;
+        // Animar anillos de progreso (data-progress)
+        this.animator.animateRings(this.slides[this.currentSlide]);
+    }
 
-            // PASO 4: Re-habilitar transición y animar
-            requestAnimationFrame(() => {
-                progressRing.style.transition = 'stroke-dashoffset 2s ease-out';
-                progressRing.style.animation = '';
+    prefersReducedMotion() {
+        return !!this.reducedMotionQuery?.matches;
+    }
 
-                // PASO 5: Animar al estado final (70% lleno)
-                requestAnimationFrame(() => {
-                    progressRing.style.strokeDashoffset = '188.5';
-                });
-            });
-        }
+    // Estado final de las animaciones (exportación/impresión)
+    finishAnimations(slide) {
+        this.animator.finish(slide);
     }
 
     scaleToFit() {
+        // El layout documento no escala el lienzo
+        if (this.reflow?.isEnabled) return;
+
         // Evitar ejecuciones concurrentes
         if (this.isScaling) return;
         this.isScaling = true;
@@ -212,10 +460,8 @@ class PresentationEngine {
         // Detectar DPI/escala del sistema
         const dpr = window.devicePixelRatio || 1;
 
-        // Calcular escalas base
-        const scaleX = viewportWidth / this.baseWidth;
-        const scaleY = viewportHeight / this.baseHeight;
-        const baseScale = Math.min(scaleX, scaleY);
+        // Calcular escala base
+        const baseScale = this.getFitScale(viewportWidth, viewportHeight);
 
         // Determinar si estamos en fullscreen
         const isFullscreen = document.fullscreenElement || document.webkitFullscreenElement;
@@ -258,6 +504,13 @@ class PresentationEngine {
         }
     }
 
+    // Escala que hace caber el canvas base en el área indicada
+    getFitScale(width, height) {
+        const scaleX = width / this.baseWidth;
+        const scaleY = height / this.baseHeight;
+        return Math.min(scaleX, scaleY);
+    }
+
     checkAndFixOverflow(currentScale) {
         const rect = this.container.getBoundingClientRect();
         const viewportWidth = window.innerWidth;
@@ -291,12 +544,25 @@ class PresentationEngine {
         }
     }
 
-    showSlide(index) {
-        if (this.isTransitioning) return;
+    showSlide(index, options = {}) {
+        // En el layout documento el desplazamiento no espera a ninguna transición
+        if (this.isTransitioning && !options.fromReflow) return;
+        // En modo impresión todos los slides se muestran a la vez
+        if (this.printer?.isEnabled) return;
         if (index < 0 || index >= this.totalSlides) return;
+
+        // Layout documento: desplazarse hasta el slide en lugar de cambiarlo
+        if (this.reflow?.isEnabled && !options.fromReflow) {
+            this.reflow.scrollToSlide(index, options);
+            return;
+        }
         
         // Permitir navegación incluso si es el mismo slide (para refrescar)
-        this.isTransitioning = true;
+        this.isTransitioning = !options.fromReflow;
+        const previousSlide = this.currentSlide;
+
+        // Efecto y velocidad del slide entrante antes de cambiar las clases
+        this.transitions?.prepare(this.slides[index]);
 
         // Remover todas las clases primero
         this.slides.forEach(slide => {
@@ -309,20 +575,23 @@ class PresentationEngine {
                 slide.classList.add('prev');
             } else if (i === index) {
                 slide.classList.add('active');
-                // Mantener la clase slide-index si es el slide 0
-                if (i === 0) {
-                    slide.classList.add('slide-index');
-                }
+            }
+            // Mantener la clase slide-index si es el slide 0 (siempre visible en el layout documento)
+            if (i === 0 && (i === index || this.reflow?.isEnabled)) {
+                slide.classList.add('slide-index');
             }
         });
 
+        this.currentSlide = index;
+
+        // Fragmentos: ninguno visible por defecto, o el paso indicado
+        const steps = this.getFragmentSteps(index);
+        const fragment = options.fragment ?? -1;
+        this.currentFragment = Math.max(-1, Math.min(fragment, steps.length - 1));
+        this.updateFragments(index);
+
         // Actualizar indicadores
-        this.indicators.forEach((indicator, i) => {
-            indicator.classList.remove('active');
-            if (i === index) {
-                indicator.classList.add('active');
-            }
-        });
+        this.updateIndicators(index);
         
         // Actualizar barra de progreso
         this.updateProgressBar(index);
@@ -330,81 +599,357 @@ class PresentationEngine {
         // Mostrar indicador de sección si es el inicio de una
         this.checkAndShowSectionIndicator(index);
 
-        this.currentSlide = index;
+        // Registrar el slide en la URL y en el historial ('replace' solo actualiza la URL)
+        if (options.updateHistory !== false) {
+            this.updateHash(index, options.updateHistory === 'replace');
+        }
 
-        // Reiniciar animaciones para el nuevo slide
-        setTimeout(() => {
-            this.initAnimations();
-        }, 300);
+        // Accesibilidad: ocultar slides inactivos, anunciar y mover el foco
+        this.updateAccessibility(index, { announce: !options.fromReflow });
 
-        setTimeout(() => {
+        // Sincronizar con la vista del presentador
+        this.presenter?.handleSlideChange(index, options);
+
+        // Notificar a plugins y listeners externos
+        this.emitSlideChange(index, previousSlide);
+
+        // Al terminar la transición: animaciones del slide y siguiente orden en cola
+        const transitionDone = options.fromReflow || !this.transitions
+            ? Promise.resolve()
+            : this.transitions.wait(this.slides[index]);
+
+        transitionDone.then(() => {
             this.isTransitioning = false;
-        }, 600);
+            this.initAnimations();
+            this.transitions?.next();
+        });
     }
     
+    // Métodos de accesibilidad
+    initAccessibility() {
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-roledescription', 'presentation');
+        this.container.setAttribute('aria-label', document.title);
+
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${index} of ${this.totalSlides - 1}: ${this.getSlideTitle(index)}`);
+            slide.setAttribute('tabindex', '-1');
+        });
+
+        this.indicators.forEach((indicator, index) => {
+            indicator.setAttribute('aria-label', `Slide ${index}: ${this.getSlideTitle(index)}`);
+        });
+    }
+
+    updateAccessibility(index, options = {}) {
+        const focusWasInSlides = this.container.contains(document.activeElement);
+
+        // En el layout documento todos los slides son legibles a la vez
+        const allVisible = !!this.reflow?.isEnabled;
+
+        this.slides.forEach((slide, i) => {
+            const isActive = i === index || allVisible;
+            if (isActive) {
+                slide.removeAttribute('aria-hidden');
+            } else {
+                slide.setAttribute('aria-hidden', 'true');
+            }
+            slide.inert = !isActive;
+        });
+
+        this.indicators.forEach((indicator, i) => {
+            if (i === index) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+
+        if (!options.announce) return;
+
+        // El foco dentro de un slide ahora oculto pasa al slide activo
+        if (focusWasInSlides) {
+            this.slides[index].focus({ preventScroll: true });
+        }
+
+        this.announce(index);
+    }
+
+    announce(index) {
+        if (!this.announcer) return;
+
+        const section = this.getSectionForSlide(index);
+        // Misma numeración que los indicadores (la portada es el slide 0)
+        let message = `Slide ${index} of ${this.totalSlides - 1}: ${this.getSlideTitle(index)}`;
+        if (section && section.startSlide === index) {
+            message += `. Section ${section.number}: ${section.title}`;
+        }
+
+        // Vaciar primero para que lectores de pantalla repitan mensajes iguales
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 50);
+    }
+
+    emitSlideChange(index, previousSlide) {
+        const section = this.getSectionForSlide(index);
+        const previousSection = this.getSectionForSlide(previousSlide);
+
+        this.emit('slidechanged', {
+            index,
+            previousIndex: previousSlide,
+            slide: this.slides[index],
+            fragment: this.currentFragment,
+            section
+        });
+
+        if (section !== previousSection) {
+            this.emit('sectionchanged', { section, previousSection, index });
+        }
+    }
+
+    updateIndicators(index) {
+        this.indicators.forEach((indicator, i) => {
+            indicator.classList.remove('active');
+            if (i === index) {
+                indicator.classList.add('active');
+            }
+        });
+    }
+
     updateProgressBar(index) {
         const progressBar = document.querySelector('.slide-progress');
         if (progressBar) {
-            const percentage = ((index + 1) / this.totalSlides) * 100;
+            // Avance parcial dentro del slide según los fragmentos mostrados
+            const steps = this.getFragmentSteps(index).length;
+            const slideProgress = steps > 0 && index === this.currentSlide
+                ? (this.currentFragment + 2) / (steps + 1)
+                : 1;
+            const percentage = ((index + slideProgress) / this.totalSlides) * 100;
             progressBar.style.height = `${percentage}%`;
         }
     }
 
-    goToSlide(index) {
+    // Métodos de fragmentos (pasos incrementales dentro de un slide)
+    getFragmentSteps(index) {
+        const slide = this.slides[index];
+        if (!slide) return [];
+
+        // Agrupar por data-fragment-index; sin índice, por orden en el DOM
+        const groups = new Map();
+        slide.querySelectorAll('.fragment').forEach((fragment, position) => {
+            const order = fragment.dataset.fragmentIndex !== undefined
+                ? parseFloat(fragment.dataset.fragmentIndex)
+                : position;
+            if (!groups.has(order)) groups.set(order, []);
+            groups.get(order).push(fragment);
+        });
+
+        return Array.from(groups.keys())
+            .sort((a, b) => a - b)
+            .map(order => groups.get(order));
+    }
+
+    updateFragments(index) {
+        this.getFragmentSteps(index).forEach((fragments, step) => {
+            fragments.forEach(fragment => {
+                fragment.classList.toggle('visible', step <= this.currentFragment);
+                fragment.classList.toggle('current-fragment', step === this.currentFragment);
+            });
+        });
+    }
+
+    showFragment(step, options = {}) {
+        // En el layout documento los fragmentos están siempre visibles
+        if (this.reflow?.isEnabled) return false;
+
+        const steps = this.getFragmentSteps(this.currentSlide);
+        if (step < -1 || step >= steps.length) return false;
+
+        const previousStep = this.currentFragment;
+        this.currentFragment = step;
+        this.updateFragments(this.currentSlide);
+        this.updateProgressBar(this.currentSlide);
+
+        // Sincronizar con la vista del presentador
+        this.presenter?.handleSlideChange(this.currentSlide, options);
+
+        // Notificar los fragmentos mostrados u ocultados
+        if (step > previousStep) {
+            this.emit('fragmentshown', { index: this.currentSlide, fragment: step, elements: steps.slice(previousStep + 1, step + 1).flat() });
+        } else if (step < previousStep) {
+            this.emit('fragmenthidden', { index: this.currentSlide, fragment: step, elements: steps.slice(step + 1, previousStep + 1).flat() });
+        }
+        return true;
+    }
+
+    nextFragment() {
+        return this.showFragment(this.currentFragment + 1);
+    }
+
+    prevFragment() {
+        return this.currentFragment >= 0 && this.showFragment(this.currentFragment - 1);
+    }
+
+    // Métodos de enlace profundo (URL hash)
+    getSlideHash(index) {
+        const slideId = this.slides[index]?.dataset.slideId;
+        return `#/${slideId || index}`;
+    }
+
+    getSlideFromHash() {
+        const hash = decodeURIComponent(window.location.hash.replace(/^#\/?/, ''));
+        if (!hash) return null;
+
+        // Número de slide (#/3)
+        if (/^\d+$/.test(hash)) {
+            const index = parseInt(hash);
+            return index < this.totalSlides ? index : null;
+        }
+
+        // Identificador de slide (#the-decision o #/the-decision)
+        const index = Array.from(this.slides).findIndex(slide => slide.dataset.slideId === hash);
+        return index >= 0 ? index : null;
+    }
+
+    updateHash(index, replace = false) {
+        const hash = this.getSlideHash(index);
+        if (window.location.hash === hash) return;
+
+        // Los cambios automáticos (avance automático, seguimiento) no llenan el historial
+        if (replace) {
+            history.replaceState({ slide: index }, '', hash);
+        } else {
+            history.pushState({ slide: index }, '', hash);
+        }
+    }
+
+    handleHashChange() {
+        const index = this.getSlideFromHash();
+        if (index === null || index === this.currentSlide) return;
+
+        // Reintentar si llega durante una transición
+        if (this.isTransitioning) {
+            setTimeout(() => this.handleHashChange(), 100);
+            return;
+        }
+
+        this.showSlide(index, { updateHistory: false });
+    }
+
+    // Notas del presentador (<aside class="notes">) como texto plano, un elemento por párrafo (p/li)
+    getSlideNotesText(index) {
+        const notes = this.slides[index]?.querySelector('aside.notes');
+        if (!notes) return [];
+
+        const blocks = notes.querySelectorAll('p, li');
+        const source = blocks.length ? Array.from(blocks) : [notes];
+        return source.map(block => block.textContent.trim()).filter(Boolean);
+    }
+
+    // Texto seguro para interpolar en HTML (contenido y atributos entre comillas)
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Miniatura escalada de un slide (vista del presentador y vista general)
+    createSlideThumbnail(index, width) {
+        const scale = width / this.baseWidth;
+
+        const frame = document.createElement('div');
+        frame.className = 'slide-thumbnail';
+        frame.style.width = `${width}px`;
+        frame.style.height = `${this.baseHeight * scale}px`;
+
+        const canvas = document.createElement('div');
+        canvas.className = 'slide-thumbnail-canvas';
+        canvas.style.width = `${this.baseWidth}px`;
+        canvas.style.height = `${this.baseHeight}px`;
+        canvas.style.transform = `scale(${scale})`;
+
+        // Clonar el slide como activo y sin ids duplicados
+        const clone = this.slides[index].cloneNode(true);
+        clone.classList.remove('prev');
+        clone.classList.add('active');
+        clone.removeAttribute('id');
+        clone.removeAttribute('aria-hidden');
+        clone.removeAttribute('tabindex');
+        clone.inert = false;
+        frame.setAttribute('aria-hidden', 'true');
+        clone.querySelectorAll('.fragment').forEach(el => el.classList.add('visible'));
+        clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+
+        canvas.appendChild(clone);
+        frame.appendChild(canvas);
+        return frame;
+    }
+
+    goToSlide(index, fragment = -1, options = {}) {
+        // Durante una transición la orden espera su turno en lugar de perderse
+        if (this.isTransitioning) {
+            this.transitions?.enqueue(() => this.goToSlide(index, fragment, options));
+            return;
+        }
+
         // Forzar la transición incluso si es el mismo slide
         if (index === this.currentSlide) {
             // Si es el mismo slide, refrescar
             this.slides[index].classList.remove('active');
             setTimeout(() => {
-                this.showSlide(index);
+                this.showSlide(index, { ...options, fragment });
             }, 10);
         } else {
-            this.showSlide(index);
+            this.showSlide(index, { ...options, fragment });
         }
     }
 
-    nextSlide() {
+    nextSlide(options = {}) {
+        if (this.isTransitioning) {
+            this.transitions?.enqueue(() => this.nextSlide(options));
+            return;
+        }
+
+        // Avanzar primero por los fragmentos del slide actual
+        if (this.nextFragment()) return;
+
         const next = (this.currentSlide + 1) % this.totalSlides;
-        this.showSlide(next);
+        this.showSlide(next, options);
     }
 
     prevSlide() {
+        if (this.isTransitioning) {
+            this.transitions?.enqueue(() => this.prevSlide());
+            return;
+        }
+
+        // Retroceder primero por los fragmentos del slide actual
+        if (this.prevFragment()) return;
+
+        // El slide anterior se muestra completo
         const prev = (this.currentSlide - 1 + this.totalSlides) % this.totalSlides;
-        this.showSlide(prev);
+        this.showSlide(prev, { fragment: Infinity });
     }
 
     handleKeyboard(e) {
-        switch (e.key) {
-            case 'ArrowRight':
-            case ' ':
-                e.preventDefault();
-                this.nextSlide();
-                break;
-            case 'ArrowLeft':
-                e.preventDefault();
-                this.prevSlide();
-                break;
-            case 'Escape':
-                if (document.fullscreenElement || document.webkitFullscreenElement) {
-                    this.exitFullscreen();
-                }
-                break;
-            case 'f':
-            case 'F':
-                if (e.ctrlKey || e.metaKey) {
-                    e.preventDefault();
-                    this.toggleFullscreen();
-                }
-                break;
-            default:
-                if (e.key >= '1' && e.key <= '9') {
-                    const slideIndex = parseInt(e.key) - 1;
-                    if (slideIndex < this.totalSlides) {
-                        this.goToSlide(slideIndex);
-                    }
-                }
-                break;
-        }
+        // Los controles de formulario (buscador, deslizadores de la calculadora) usan sus propias teclas
+        if (this.isFormField(e.target)) return;
+
+        // La vista general gestiona su propia navegación
+        if (this.overview?.isOpen && this.overview.handleKeyboard(e)) return;
+
+        // Atajos configurables (assets/js/keyboard.js)
+        this.keyboard?.handle(e);
+    }
+
+    isFormField(element) {
+        return !!element?.closest?.('input, textarea, select, [contenteditable="true"]');
     }
 
     toggleFullscreen() {
@@ -444,6 +989,113 @@ class PresentationEngine {
         }
 
         setTimeout(() => this.scaleToFit(), 100);
+
+        this.emit('fullscreenchange', { isFullscreen: !!isFullscreen });
+    }
+
+    // Modelo de secciones
+    buildSections() {
+        const sections = [];
+
+        this.slides.forEach((slide, index) => {
+            const key = slide.dataset.section;
+            if (!key) return;
+
+            let section = sections.find(s => s.key === key);
+            if (!section) {
+                // Metadatos desde el card del índice, o desde el propio slide
+                const card = this.container.querySelector(`.section-card[data-section="${CSS.escape(key)}"]`);
+                section = {
+                    key,
+                    number: sections.length + 1,
+                    icon: slide.dataset.sectionIcon || card?.querySelector('.section-icon i')?.className || '',
+                    title: slide.dataset.sectionTitle || card?.querySelector('.section-title')?.textContent.trim() || key,
+                    description: slide.dataset.sectionDescription || card?.querySelector('.section-description')?.textContent.trim() || '',
+                    card,
+                    startSlide: index,
+                    endSlide: index
+                };
+                sections.push(section);
+            }
+            section.endSlide = index;
+        });
+
+        sections.forEach(section => {
+            section.slides = section.startSlide === section.endSlide
+                ? `SLIDE ${section.startSlide}`
+                : `SLIDES ${section.startSlide}-${section.endSlide}`;
+        });
+
+        return sections;
+    }
+
+    getSectionForSlide(index) {
+        return this.sections.find(s => index >= s.startSlide && index <= s.endSlide) || null;
+    }
+
+    getSlideTitle(index) {
+        const slide = this.slides[index];
+        if (!slide) return '';
+        return slide.dataset.title || slide.querySelector('h1')?.textContent.trim() || `Slide ${index}`;
+    }
+
+    buildIndicators() {
+        const container = document.querySelector('.slide-indicators');
+        if (!container) return [];
+
+        container.querySelectorAll('.indicator').forEach(indicator => indicator.remove());
+
+        return Array.from(this.slides).map((slide, index) => {
+            const section = this.getSectionForSlide(index);
+            const indicator = document.createElement('button');
+            indicator.className = 'indicator';
+            indicator.dataset.slide = index;
+            indicator.dataset.title = this.getSlideTitle(index);
+
+            // Agrupar visualmente por sección
+            if (section) {
+                indicator.dataset.section = section.number;
+                indicator.classList.toggle('section-start', section.startSlide === index);
+            }
+
+            this.listen(indicator, 'click', () => this.goToSlide(index));
+            container.appendChild(indicator);
+            return indicator;
+        });
+    }
+
+    renderSectionCards() {
+        this.sections.forEach(section => {
+            const card = section.card;
+            if (!card) return;
+
+            card.dataset.slide = section.startSlide;
+
+            const numberEl = card.querySelector('.section-number');
+            const slidesEl = card.querySelector('.section-slides');
+            if (numberEl) numberEl.textContent = section.number;
+            if (slidesEl) {
+                slidesEl.textContent = section.startSlide === section.endSlide
+                    ? `Slide ${section.startSlide}`
+                    : `Slides ${section.startSlide}-${section.endSlide}`;
+            }
+
+            // Los listeners se registran una sola vez aunque se regeneren las secciones
+            if (card.hasAttribute('role')) return;
+
+            this.listen(card, 'click', () => this.goToSlide(parseInt(card.dataset.slide)));
+
+            // Accesible por teclado como un botón
+            card.setAttribute('role', 'button');
+            card.setAttribute('tabindex', '0');
+            this.listen(card, 'keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.goToSlide(parseInt(card.dataset.slide));
+                }
+            });
+        });
     }
 
     // Métodos para el indicador de sección
@@ -458,6 +1110,8 @@ class PresentationEngine {
 
     showSectionIndicator(section) {
         if (!this.sectionIndicator) return;
+        // Con movimiento reducido la sección se anuncia sin la animación
+        if (this.prefersReducedMotion()) return;
         
         // Limpiar timer existente
         if (this.sectionIndicatorTimer) {
@@ -559,12 +1213,4 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Hacer la instancia disponible globalmente para el botón de inicio
     window.presentationApp = presentation;
-    
-    // Agregar funcionalidad a los cards del índice
-    document.querySelectorAll('.section-card').forEach(card => {
-        card.addEventListener('click', function() {
-            const targetSlide = parseInt(this.dataset.slide);
-            presentation.goToSlide(targetSlide);
-        });
-    });
 });
\ No newline at end of file
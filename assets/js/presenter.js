@@ -0,0 +1,255 @@
+/**
+ * PresenterView - Vista del presentador
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Abre una ventana compañera con el slide actual, el siguiente, las notas
+ * (<aside class="notes"> dentro de cada .slide) y un reloj de tiempo
+ * transcurrido/restante. Ambas ventanas se sincronizan en las dos direcciones
+ * por un canal propio de la sesión (?session= en la URL del presentador), así
+ * otras pestañas de la presentación no interfieren.
+ */
+
+class PresenterView {
+    constructor(engine) {
+        this.engine = engine;
+        this.channel = null;
+        this.peerWindow = window.opener || null;
+        this.presenterWindow = null;
+        this.storageKey = 'presentation-presenter-session';
+
+        const params = new URLSearchParams(window.location.search);
+        this.isPresenter = params.has('presenter');
+
+        // El presentador recibe la sesión en su URL; la audiencia la crea
+        this.sessionId = (this.isPresenter && params.get('session')) || this.loadSession();
+        this.channelName = `presentation-sync-${this.sessionId}`;
+
+        // Duración objetivo en minutos (?duration=20)
+        this.targetMinutes = parseFloat(params.get('duration')) || 20;
+        this.startTime = null;
+        this.clockTimer = null;
+        this.elements = {};
+
+        this.init();
+    }
+
+    init() {
+        // BroadcastChannel si está disponible, postMessage como alternativa
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+        } else {
+            this.engine.listen(window, 'message', (e) => {
+                if (e.data && e.data.source === this.channelName) {
+                    this.handleMessage(e.data);
+                }
+            });
+        }
+
+        if (this.isPresenter) {
+            this.buildView();
+            this.startClock();
+            this.engine.listen(window, 'resize', () => this.render());
+        }
+
+        // Pedir el estado actual a la otra ventana
+        this.send({ type: 'hello' });
+    }
+
+    open() {
+        if (this.isPresenter) return;
+
+        if (this.presenterWindow && !this.presenterWindow.closed) {
+            this.presenterWindow.focus();
+            return;
+        }
+
+        // Conservar el contenido externo (?deck=) para mostrar los mismos slides
+        const deck = this.engine.deckUrl ? `&deck=${encodeURIComponent(this.engine.deckUrl)}` : '';
+        const session = `&session=${encodeURIComponent(this.sessionId)}`;
+        const url = `${window.location.pathname}?presenter${session}${deck}${this.engine.getSlideHash(this.engine.currentSlide)}`;
+        this.presenterWindow = window.open(url, `presenter-view-${this.sessionId}`, 'width=1280,height=800');
+    }
+
+    // Misma sesión tras recargar la pestaña para no perder la vista ya abierta
+    loadSession() {
+        try {
+            const saved = sessionStorage.getItem(this.storageKey);
+            if (saved) return saved;
+        } catch (error) {
+            // Almacenamiento no disponible (modo privado, file://)
+        }
+
+        const id = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+        try {
+            sessionStorage.setItem(this.storageKey, id);
+        } catch (error) {
+            // La sesión dura lo que la página
+        }
+        return id;
+    }
+
+    send(message) {
+        const payload = { ...message, source: this.channelName };
+
+        if (this.channel) {
+            this.channel.postMessage(payload);
+            return;
+        }
+
+        const target = this.isPresenter ? this.peerWindow : this.presenterWindow;
+        if (target && !target.closed) {
+            const origin = window.location.origin === 'null' ? '*' : window.location.origin;
+            target.postMessage(payload, origin);
+        }
+    }
+
+    handleMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case 'hello':
+                this.send({ type: 'slide', index: this.engine.currentSlide, fragment: this.engine.currentFragment });
+                break;
+            case 'slide':
+                this.applyRemoteSlide(message.index, message.fragment ?? -1);
+                break;
+        }
+    }
+
+    applyRemoteSlide(index, fragment) {
+        if (index === this.engine.currentSlide) {
+            if (fragment !== this.engine.currentFragment) {
+                this.engine.showFragment(fragment, { fromSync: true });
+            } else {
+                this.render();
+            }
+            return;
+        }
+
+        // Reintentar si la otra ventana navegó durante una transición
+        if (this.engine.isTransitioning) {
+            setTimeout(() => this.applyRemoteSlide(index, fragment), 100);
+            return;
+        }
+
+        this.engine.showSlide(index, { fromSync: true, fragment, updateHistory: 'replace' });
+    }
+
+    // Llamado por PresentationEngine.showSlide y showFragment
+    handleSlideChange(index, options = {}) {
+        if (!options.fromSync) {
+            this.send({ type: 'slide', index, fragment: this.engine.currentFragment });
+        }
+        this.render();
+    }
+
+    buildView() {
+        document.body.classList.add('presenter-mode');
+
+        const view = document.createElement('div');
+        view.className = 'presenter-view';
+        view.innerHTML = `
+            <header class="presenter-header">
+                <div class="presenter-counter"></div>
+                <div class="presenter-clock">
+                    <div class="presenter-clock-item">
+                        <span class="presenter-clock-label">Transcurrido</span>
+                        <span class="presenter-clock-value presenter-elapsed">00:00</span>
+                    </div>
+                    <div class="presenter-clock-item">
+                        <span class="presenter-clock-label">Restante</span>
+                        <span class="presenter-clock-value presenter-remaining"></span>
+                    </div>
+                    <button class="presenter-reset" title="Reiniciar reloj">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                </div>
+            </header>
+            <section class="presenter-panel presenter-current">
+                <h4 class="presenter-panel-label">Actual</h4>
+                <div class="presenter-frame"></div>
+            </section>
+            <section class="presenter-panel presenter-next">
+                <h4 class="presenter-panel-label">Siguiente</h4>
+                <div class="presenter-frame"></div>
+            </section>
+            <section class="presenter-panel presenter-notes">
+                <h4 class="presenter-panel-label">Notas</h4>
+                <div class="presenter-notes-content"></div>
+            </section>
+        `;
+        document.body.appendChild(view);
+
+        this.elements = {
+            counter: view.querySelector('.presenter-counter'),
+            elapsed: view.querySelector('.presenter-elapsed'),
+            remaining: view.querySelector('.presenter-remaining'),
+            current: view.querySelector('.presenter-current .presenter-frame'),
+            next: view.querySelector('.presenter-next .presenter-frame'),
+            notes: view.querySelector('.presenter-notes-content')
+        };
+
+        view.querySelector('.presenter-reset').addEventListener('click', () => this.startClock());
+    }
+
+    render() {
+        if (!this.isPresenter || !this.elements.current) return;
+
+        const index = this.engine.currentSlide;
+        const nextIndex = index + 1;
+        const { counter, current, next, notes } = this.elements;
+
+        counter.textContent = `Slide ${index} / ${this.engine.totalSlides - 1}`;
+
+        current.replaceChildren(this.engine.createSlideThumbnail(index, current.clientWidth));
+
+        if (nextIndex < this.engine.totalSlides) {
+            next.replaceChildren(this.engine.createSlideThumbnail(nextIndex, next.clientWidth));
+        } else {
+            next.innerHTML = '<p class="presenter-end">Fin de la presentación</p>';
+        }
+
+        // Notas como texto, un párrafo por bloque
+        const paragraphs = this.engine.getSlideNotesText(index);
+        if (paragraphs.length) {
+            notes.replaceChildren(...paragraphs.map(text => {
+                const paragraph = document.createElement('p');
+                paragraph.textContent = text;
+                return paragraph;
+            }));
+        } else {
+            notes.innerHTML = '<p class="presenter-empty">Sin notas para este slide</p>';
+        }
+    }
+
+    startClock() {
+        this.startTime = Date.now();
+        clearInterval(this.clockTimer);
+        this.updateClock();
+        this.clockTimer = setInterval(() => this.updateClock(), 1000);
+    }
+
+    updateClock() {
+        const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
+        const remaining = Math.round(this.targetMinutes * 60) - elapsed;
+
+        this.elements.elapsed.textContent = this.formatTime(elapsed);
+        this.elements.remaining.textContent = (remaining < 0 ? '-' : '') + this.formatTime(Math.abs(remaining));
+        this.elements.remaining.classList.toggle('overtime', remaining < 0);
+    }
+
+    destroy() {
+        clearInterval(this.clockTimer);
+        this.channel?.close();
+        this.channel = null;
+        document.querySelector('.presenter-view')?.remove();
+        document.body.classList.remove('presenter-mode');
+    }
+
+    formatTime(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * PrintExport - Exportación a PDF / impresión
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Dispone todos los slides uno por página de 1920×1080 con las animaciones
+ * en su estado final. Se activa con ?print-pdf (y ?print-pdf&notes para
+ * incluir páginas de notas), con el botón de exportación o al imprimir
+ * desde el navegador.
+ */
+
+class PrintExport {
+    constructor(engine) {
+        this.engine = engine;
+        this.isEnabled = false;
+        this.withNotes = false;
+        this.restoreAfterPrint = false;
+
+        // Con ?print-pdf, una vez creados todos los subsistemas (anotaciones incluidas)
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('print-pdf')) {
+            this.engine.on('ready', () => this.enable({ notes: params.has('notes') }));
+        }
+
+        // Imprimir desde el navegador (Ctrl+P) usa el mismo layout que el botón
+        this.engine.listen(window, 'beforeprint', () => {
+            if (!this.isEnabled) {
+                this.enable();
+                this.restoreAfterPrint = true;
+            }
+        });
+
+        this.engine.listen(window, 'afterprint', () => {
+            if (this.restoreAfterPrint) {
+                this.restoreAfterPrint = false;
+                this.disable();
+            }
+        });
+    }
+
+    // Activar el layout de impresión, imprimir y restaurar al terminar
+    print(options = {}) {
+        if (!this.isEnabled) {
+            this.enable(options);
+            this.restoreAfterPrint = true;
+        }
+
+        // Dar tiempo al navegador para aplicar el layout antes del diálogo
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => window.print());
+        });
+    }
+
+    enable(options = {}) {
+        if (this.isEnabled) return;
+
+        const { engine } = this;
+        this.isEnabled = true;
+        this.withNotes = !!options.notes;
+
+        document.body.classList.add('print-pdf');
+
+        engine.slides.forEach((slide, index) => {
+            slide.classList.remove('prev');
+            slide.classList.add('active');
+            engine.finishAnimations(slide);
+
+            // Anotaciones del slide sobre la página impresa
+            const snapshot = engine.annotations?.createSnapshot(index);
+            if (snapshot) slide.appendChild(snapshot);
+
+            if (this.withNotes) {
+                slide.after(this.createNotesPage(index));
+            }
+        });
+    }
+
+    disable() {
+        if (!this.isEnabled) return;
+
+        this.isEnabled = false;
+        document.body.classList.remove('print-pdf');
+        this.engine.container.querySelectorAll('.print-notes-page, .annotation-snapshot').forEach(element => element.remove());
+
+        // Volver al slide en curso con el sistema de clases normal
+        this.engine.showSlide(this.engine.currentSlide, { updateHistory: false });
+    }
+
+    // Slides reemplazados (?deck=): quitar las páginas de notas anteriores y
+    // disponer los nuevos
+    refresh() {
+        if (!this.isEnabled) return;
+
+        const options = { notes: this.withNotes };
+        this.disable();
+        this.enable(options);
+    }
+
+    destroy() {
+        this.restoreAfterPrint = false;
+        this.disable();
+    }
+
+    createNotesPage(index) {
+        const { engine } = this;
+        const page = document.createElement('div');
+        page.className = 'print-notes-page';
+
+        const header = document.createElement('h2');
+        header.className = 'print-notes-title';
+        header.textContent = `${index}. ${engine.getSlideTitle(index)}`;
+
+        const body = document.createElement('div');
+        body.className = 'print-notes-body';
+        const paragraphs = engine.getSlideNotesText(index);
+        if (paragraphs.length) {
+            body.replaceChildren(...paragraphs.map(text => {
+                const paragraph = document.createElement('p');
+                paragraph.textContent = text;
+                return paragraph;
+            }));
+        } else {
+            body.innerHTML = '<p class="print-notes-empty">Sin notas para este slide</p>';
+        }
+
+        page.appendChild(header);
+        page.appendChild(engine.createSlideThumbnail(index, 960));
+        page.appendChild(body);
+        return page;
+    }
+}
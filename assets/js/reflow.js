@@ -0,0 +1,141 @@
+/**
+ * ReflowLayout - Layout documento para teléfonos
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * En viewports estrechos o en vertical el lienzo de 1920×1080 escalado es
+ * ilegible: los slides se apilan como secciones desplazables y adaptables.
+ * Un IntersectionObserver decide el slide actual (indicadores, animaciones,
+ * indicador de sección y URL). Se activa solo según el breakpoint, o se
+ * fuerza con ?layout=document / ?layout=slides.
+ */
+
+class ReflowLayout {
+    constructor(engine) {
+        this.engine = engine;
+        this.isEnabled = false;
+        this.observer = null;
+        this.scrollTarget = null;
+        this.scrollTimer = null;
+
+        // Teléfonos y tablets en vertical
+        this.mediaQuery = window.matchMedia?.('(max-width: 768px), (max-width: 1024px) and (orientation: portrait)') || null;
+
+        const params = new URLSearchParams(window.location.search);
+        this.forcedLayout = params.get('layout');
+
+        this.init();
+    }
+
+    init() {
+        this.engine.listen(this.mediaQuery, 'change', () => this.update());
+
+        // Con otro contenido hay que observar los nuevos slides
+        this.engine.on('slideschanged', () => {
+            if (this.isEnabled) this.observe();
+        });
+
+        // Con el motor ya iniciado (engine.reflow asignado y slide inicial resuelto)
+        this.engine.on('ready', () => this.update());
+    }
+
+    shouldEnable() {
+        if (this.forcedLayout === 'document') return true;
+        if (this.forcedLayout === 'slides') return false;
+
+        // El PDF y la vista del presentador conservan el lienzo de 1920×1080
+        if (this.engine.printer?.isEnabled || this.engine.presenter?.isPresenter) return false;
+        return !!this.mediaQuery?.matches;
+    }
+
+    update() {
+        if (this.shouldEnable()) {
+            this.enable();
+        } else {
+            this.disable();
+        }
+    }
+
+    enable() {
+        if (this.isEnabled) return;
+
+        const { engine } = this;
+        this.isEnabled = true;
+
+        document.body.classList.add('reflow-mode');
+        engine.annotations?.setTool(null);
+        engine.container.style.transform = '';
+
+        // Estado del slide actual con todos los fragmentos visibles
+        engine.showSlide(engine.currentSlide, { fromReflow: true, updateHistory: false, fragment: Infinity });
+        engine.slides[engine.currentSlide].scrollIntoView({ block: 'start' });
+
+        this.observe();
+    }
+
+    disable() {
+        if (!this.isEnabled) return;
+
+        this.isEnabled = false;
+        this.observer?.disconnect();
+        this.observer = null;
+        clearTimeout(this.scrollTimer);
+        this.scrollTarget = null;
+
+        document.body.classList.remove('reflow-mode');
+        window.scrollTo(0, 0);
+
+        // Volver al lienzo escalado en el slide que se estaba leyendo
+        this.engine.isTransitioning = false;
+        this.engine.scaleToFit();
+        this.engine.showSlide(this.engine.currentSlide, { updateHistory: false });
+    }
+
+    // El slide que cruza la franja central de la pantalla es el actual
+    observe() {
+        this.observer?.disconnect();
+        this.observer = new IntersectionObserver(entries => this.handleIntersections(entries), {
+            rootMargin: '-45% 0px -45% 0px'
+        });
+        this.engine.slides.forEach(slide => this.observer.observe(slide));
+    }
+
+    handleIntersections(entries) {
+        const entry = entries.find(item => item.isIntersecting);
+        if (!entry) return;
+
+        const index = Array.from(this.engine.slides).indexOf(entry.target);
+
+        // Durante un desplazamiento programado se ignoran los slides intermedios
+        if (this.scrollTarget !== null) {
+            if (index !== this.scrollTarget) return;
+            this.scrollTarget = null;
+        }
+
+        if (index < 0 || index === this.engine.currentSlide) return;
+
+        this.engine.showSlide(index, { fromReflow: true, updateHistory: false, fragment: Infinity });
+
+        // Leer desplazándose no llena el historial: solo se actualiza la URL
+        this.engine.updateHash(index, true);
+    }
+
+    // Navegación explícita (indicadores, teclado, vista general, #hash)
+    scrollToSlide(index, options = {}) {
+        const slide = this.engine.slides[index];
+        if (!slide) return;
+
+        this.engine.showSlide(index, { ...options, fromReflow: true, fragment: Infinity });
+
+        this.scrollTarget = index;
+        clearTimeout(this.scrollTimer);
+        this.scrollTimer = setTimeout(() => {
+            this.scrollTarget = null;
+        }, 1000);
+
+        slide.scrollIntoView({ behavior: this.engine.prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+    }
+
+    destroy() {
+        this.disable();
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * RehearsalRecorder - Modo ensayo con tiempos por slide y por sección
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Registra la entrada y salida de cada slide mientras se ensaya (?rehearse,
+ * tecla R o botón de la navegación) y muestra una barra de ritmo frente a la
+ * duración objetivo (?duration=20, en minutos). El tiempo previsto de cada
+ * slide sale de data-duration="90" (segundos) o del reparto del resto del
+ * objetivo. Al terminar, un informe previsto/real por sección se descarga en
+ * JSON o CSV; los tiempos guardados alimentan ?autoplay=rehearsal.
+ */
+
+class RehearsalRecorder {
+    constructor(engine) {
+        this.engine = engine;
+        this.storageKey = 'presentation-rehearsal';
+        this.isRecording = false;
+        this.startTime = null;
+        this.visits = [];
+        this.currentVisit = null;
+        this.report = null;
+        this.timer = null;
+        this.bar = null;
+        this.panel = null;
+        this.button = document.getElementById('rehearseBtn');
+
+        // Margen antes de marcar el ritmo como atrasado (segundos)
+        this.tolerance = 15;
+
+        this.init();
+    }
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('rehearse')) {
+            this.start();
+        }
+
+        this.engine.listen(this.button, 'click', () => this.toggle());
+
+        this.engine.on('slidechanged', ({ index }) => this.enterSlide(index));
+
+        // Con otro contenido los índices ya no corresponden: empezar de nuevo
+        this.engine.on('slideschanged', () => {
+            if (this.isRecording) this.start();
+        });
+
+        this.updateButton();
+    }
+
+    toggle() {
+        if (this.isRecording) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        this.isRecording = true;
+        this.startTime = Date.now();
+        this.visits = [];
+        this.currentVisit = { index: this.engine.currentSlide, enter: this.startTime, exit: null };
+        this.togglePanel(false);
+
+        this.buildBar();
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.updateBar(), 1000);
+        this.updateBar();
+        this.updateButton();
+    }
+
+    // Cerrar la visita en curso, guardar los tiempos y mostrar el informe
+    stop() {
+        if (!this.isRecording) return;
+
+        this.closeVisit(Date.now());
+        this.isRecording = false;
+        clearInterval(this.timer);
+        this.bar?.classList.remove('active');
+
+        this.report = this.buildReport();
+        this.save(this.report);
+        this.showReport(this.report);
+        this.updateButton();
+    }
+
+    enterSlide(index) {
+        if (!this.isRecording || this.currentVisit?.index === index) return;
+
+        const now = Date.now();
+        this.closeVisit(now);
+        this.currentVisit = { index, enter: now, exit: null };
+        this.updateBar();
+    }
+
+    closeVisit(now) {
+        if (!this.currentVisit) return;
+
+        this.currentVisit.exit = now;
+        this.visits.push(this.currentVisit);
+        this.currentVisit = null;
+    }
+
+    getTargetSeconds() {
+        return Math.round((this.engine.presenter?.targetMinutes || 20) * 60);
+    }
+
+    // Segundos previstos por slide: data-duration o el resto repartido por igual
+    getPlannedDurations() {
+        const fixed = Array.from(this.engine.slides, slide => parseFloat(slide.dataset.duration) || null);
+        const fixedTotal = fixed.reduce((sum, seconds) => sum + (seconds || 0), 0);
+        const flexibleCount = fixed.filter(seconds => seconds === null).length;
+        const share = flexibleCount ? Math.max(this.getTargetSeconds() - fixedTotal, 0) / flexibleCount : 0;
+
+        return fixed.map(seconds => seconds ?? share);
+    }
+
+    // Segundos reales por slide, incluida la visita en curso
+    getActualDurations(now = Date.now()) {
+        const durations = new Array(this.engine.totalSlides).fill(0);
+        const visits = this.currentVisit ? [...this.visits, { ...this.currentVisit, exit: now }] : this.visits;
+
+        visits.forEach(visit => {
+            if (visit.index < durations.length) {
+                durations[visit.index] += (visit.exit - visit.enter) / 1000;
+            }
+        });
+        return durations;
+    }
+
+    // Barra fija: avance real frente al objetivo y marca del ritmo previsto
+    buildBar() {
+        if (this.bar) {
+            this.bar.classList.add('active');
+            return;
+        }
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'rehearsal-bar active';
+        this.bar.setAttribute('role', 'timer');
+        this.bar.innerHTML = `
+            <div class="rehearsal-track">
+                <div class="rehearsal-fill"></div>
+                <div class="rehearsal-marker"></div>
+            </div>
+            <span class="rehearsal-label"></span>
+        `;
+        document.body.appendChild(this.bar);
+    }
+
+    updateBar() {
+        if (!this.bar || !this.isRecording) return;
+
+        const now = Date.now();
+        const target = this.getTargetSeconds();
+        const elapsed = (now - this.startTime) / 1000;
+        const planned = this.getPlannedDurations();
+        const index = this.currentVisit?.index ?? this.engine.currentSlide;
+
+        // Dónde deberíamos estar: slides anteriores completos más el actual hasta su previsto
+        const onCurrent = this.currentVisit ? (now - this.currentVisit.enter) / 1000 : 0;
+        const expected = planned.slice(0, index).reduce((sum, seconds) => sum + seconds, 0)
+            + Math.min(onCurrent, planned[index] || 0);
+        const delta = elapsed - expected;
+
+        this.bar.querySelector('.rehearsal-fill').style.width = `${Math.min(elapsed / target, 1) * 100}%`;
+        this.bar.querySelector('.rehearsal-marker').style.left = `${Math.min(expected / target, 1) * 100}%`;
+        this.bar.querySelector('.rehearsal-label').textContent =
+            `${this.formatTime(elapsed)} / ${this.formatTime(target)} · ${this.formatDelta(delta)}`;
+
+        this.bar.classList.toggle('behind', delta > this.tolerance);
+        this.bar.classList.toggle('overtime', elapsed > target);
+    }
+
+    buildReport() {
+        const planned = this.getPlannedDurations();
+        const actual = this.getActualDurations();
+        const round = seconds => Math.round(seconds);
+
+        const slides = Array.from(this.engine.slides, (slide, index) => ({
+            index,
+            id: slide.dataset.slideId || null,
+            title: this.engine.getSlideTitle(index),
+            section: this.engine.getSectionForSlide(index)?.key ?? null,
+            planned: round(planned[index]),
+            actual: round(actual[index]),
+            visits: this.visits
+                .filter(visit => visit.index === index)
+                .map(visit => ({ enter: new Date(visit.enter).toISOString(), exit: new Date(visit.exit).toISOString() }))
+        }));
+
+        // Secciones según this.sections; los slides sin sección se agrupan aparte
+        const groups = this.engine.sections.map(section => ({
+            key: section.key,
+            title: section.title,
+            startSlide: section.startSlide,
+            endSlide: section.endSlide
+        }));
+        const unsectioned = slides.filter(slide => slide.section === null);
+        if (unsectioned.length) {
+            groups.push({ key: null, title: 'Sin sección', slides: unsectioned.map(slide => slide.index) });
+        }
+
+        const sections = groups.map(group => {
+            const members = group.slides
+                ? slides.filter(slide => group.slides.includes(slide.index))
+                : slides.slice(group.startSlide, group.endSlide + 1);
+            const sectionPlanned = members.reduce((sum, slide) => sum + slide.planned, 0);
+            const sectionActual = members.reduce((sum, slide) => sum + slide.actual, 0);
+
+            return {
+                key: group.key,
+                title: group.title,
+                slides: members.map(slide => slide.index),
+                planned: sectionPlanned,
+                actual: sectionActual,
+                difference: sectionActual - sectionPlanned
+            };
+        });
+
+        const totalActual = slides.reduce((sum, slide) => sum + slide.actual, 0);
+
+        return {
+            startedAt: new Date(this.startTime).toISOString(),
+            endedAt: new Date().toISOString(),
+            target: this.getTargetSeconds(),
+            total: totalActual,
+            difference: totalActual - this.getTargetSeconds(),
+            sections,
+            slides
+        };
+    }
+
+    showReport(report) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.className = 'rehearsal-report';
+            this.panel.setAttribute('role', 'dialog');
+            this.panel.setAttribute('aria-label', 'Informe del ensayo');
+            document.body.appendChild(this.panel);
+        }
+
+        const rows = report.sections.map(section => `
+            <tr>
+                <td>${PresentationEngine.escapeHtml(section.title)}</td>
+                <td>${this.formatTime(section.planned)}</td>
+                <td>${this.formatTime(section.actual)}</td>
+                <td class="${section.difference > this.tolerance ? 'over' : ''}">${this.formatDelta(section.difference)}</td>
+            </tr>`).join('');
+
+        this.panel.innerHTML = `
+            <div class="rehearsal-report-panel">
+                <h2><i class="fas fa-stopwatch"></i> Informe del ensayo</h2>
+                <table>
+                    <thead>
+                        <tr><th>Sección</th><th>Previsto</th><th>Real</th><th>Diferencia</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                    <tfoot>
+                        <tr>
+                            <td>Total</td>
+                            <td>${this.formatTime(report.target)}</td>
+                            <td>${this.formatTime(report.total)}</td>
+                            <td class="${report.difference > 0 ? 'over' : ''}">${this.formatDelta(report.difference)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+                <div class="rehearsal-report-actions">
+                    <button class="rehearsal-btn" data-format="json"><i class="fas fa-file-code"></i> JSON</button>
+                    <button class="rehearsal-btn" data-format="csv"><i class="fas fa-file-csv"></i> CSV</button>
+                    <button class="rehearsal-btn" data-action="close"><i class="fas fa-times"></i> Cerrar</button>
+                </div>
+            </div>
+        `;
+
+        this.panel.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.download(button.dataset.format));
+        });
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.togglePanel(false));
+        this.togglePanel(true);
+    }
+
+    togglePanel(force) {
+        this.panel?.classList.toggle('active', force);
+    }
+
+    toCsv(report) {
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [['type', 'section', 'slide', 'title', 'planned_seconds', 'actual_seconds', 'difference_seconds', 'visits']];
+
+        report.sections.forEach(section => {
+            rows.push(['section', section.key, '', section.title, section.planned, section.actual, section.difference, '']);
+        });
+        report.slides.forEach(slide => {
+            rows.push(['slide', slide.section, slide.index, slide.title, slide.planned, slide.actual, slide.actual - slide.planned, slide.visits.length]);
+        });
+        rows.push(['total', '', '', '', report.target, report.total, report.difference, '']);
+
+        return rows.map(row => row.map(quote).join(',')).join('\n');
+    }
+
+    download(format = 'json', report = this.report) {
+        if (!report) return;
+
+        const isCsv = format === 'csv';
+        const content = isCsv ? this.toCsv(report) : JSON.stringify(report, null, 2);
+        const url = URL.createObjectURL(new Blob([content], { type: isCsv ? 'text/csv' : 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rehearsal-${report.startedAt.slice(0, 10)}.${isCsv ? 'csv' : 'json'}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Solo se guarda lo necesario para el avance automático
+    save(report) {
+        try {
+            const timings = report.slides.map(({ index, id, actual }) => ({ index, id, actual }));
+            localStorage.setItem(this.storageKey, JSON.stringify({ savedAt: report.endedAt, slides: timings }));
+        } catch (error) {
+            // Almacenamiento no disponible (modo privado, file://)
+        }
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Retardo por paso (slide o fragmento) según el último ensayo, en ms
+    getStepDelay(index) {
+        const slide = this.engine.slides[index];
+        const timings = this.load()?.slides || [];
+        const timing = timings.find(entry => slide?.dataset.slideId && entry.id === slide.dataset.slideId)
+            || timings.find(entry => entry.index === index);
+        if (!timing?.actual) return null;
+
+        const steps = this.engine.getFragmentSteps(index).length + 1;
+        return Math.round((timing.actual * 1000) / steps);
+    }
+
+    updateButton() {
+        document.body.classList.toggle('rehearsing', this.isRecording);
+        if (!this.button) return;
+
+        this.button.classList.toggle('active', this.isRecording);
+        this.button.title = this.isRecording ? 'Terminar Ensayo' : 'Modo Ensayo';
+    }
+
+    formatTime(totalSeconds) {
+        const seconds = Math.round(Math.abs(totalSeconds));
+        return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    formatDelta(totalSeconds) {
+        const seconds = Math.round(totalSeconds);
+        return `${seconds > 0 ? '+' : seconds < 0 ? '-' : '±'}${this.formatTime(seconds)}`;
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.bar?.remove();
+        this.panel?.remove();
+        this.bar = null;
+        this.panel = null;
+        document.body.classList.remove('rehearsing');
+    }
+}
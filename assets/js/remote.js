@@ -0,0 +1,163 @@
+/**
+ * RemoteControl - Control remoto desde el teléfono
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Se conecta al relay (server/relay.js) con el rol "remote": muestra el
+ * slide actual, el siguiente y las notas que publica el leader, y envía
+ * los comandos anterior/siguiente. Acepta ?sync=ws://..., ?room= y
+ * ?token= igual que la presentación.
+ */
+
+class RemoteControl {
+    constructor() {
+        this.socket = null;
+        this.url = null;
+        this.isConnected = false;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 10000;
+        this.reconnectTimer = null;
+
+        this.elements = {
+            status: document.querySelector('.remote-status'),
+            counter: document.querySelector('.remote-counter'),
+            title: document.querySelector('.remote-title'),
+            fragments: document.querySelector('.remote-fragments'),
+            next: document.querySelector('.remote-next'),
+            notes: document.querySelector('.remote-notes-content'),
+            prevBtn: document.getElementById('remotePrev'),
+            nextBtn: document.getElementById('remoteNext')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        let url;
+        try {
+            if (params.get('sync')) {
+                url = new URL(params.get('sync'));
+            } else {
+                url = new URL('/sync', window.location.href);
+                url.protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            }
+        } catch (error) {
+            this.showError('URL de sincronización no válida');
+            return;
+        }
+
+        url.searchParams.set('room', params.get('room') || 'default');
+        url.searchParams.set('role', 'remote');
+        url.searchParams.set('token', params.get('token') || '');
+        this.url = url.toString();
+
+        this.elements.prevBtn.addEventListener('click', () => this.command('prev'));
+        this.elements.nextBtn.addEventListener('click', () => this.command('next'));
+
+        // Deslizar sobre las notas también navega
+        let touchStartX = 0;
+        document.addEventListener('touchstart', (e) => {
+            touchStartX = e.touches[0].clientX;
+        }, { passive: true });
+        document.addEventListener('touchend', (e) => {
+            const deltaX = touchStartX - e.changedTouches[0].clientX;
+            if (Math.abs(deltaX) > 60) {
+                this.command(deltaX > 0 ? 'next' : 'prev');
+            }
+        });
+
+        this.connect();
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.isConnected = true;
+            this.reconnectDelay = 1000;
+            this.updateStatus();
+            // Pedir el estado al leader por si el relay aún no lo tiene
+            this.command('state');
+        });
+
+        this.socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            if (message && message.type === 'state') {
+                this.render(message);
+            }
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.isConnected = false;
+            this.updateStatus();
+
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+        });
+    }
+
+    command(action) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type: 'command', action }));
+        }
+        if (action !== 'state' && navigator.vibrate) {
+            navigator.vibrate(10);
+        }
+    }
+
+    render(state) {
+        const { counter, title, fragments, next, notes } = this.elements;
+
+        counter.textContent = `Slide ${state.slide} / ${state.totalSlides - 1}`;
+        title.textContent = state.title || '';
+        next.textContent = state.nextTitle ? `Siguiente: ${state.nextTitle}` : 'Fin de la presentación';
+
+        // Puntos de progreso de los fragmentos del slide
+        fragments.replaceChildren();
+        for (let i = 0; i < (state.fragments || 0); i++) {
+            const dot = document.createElement('span');
+            dot.className = 'remote-fragment' + (i <= state.fragment ? ' shown' : '');
+            fragments.appendChild(dot);
+        }
+
+        // Las notas llegan como texto plano, un elemento por párrafo
+        notes.replaceChildren();
+        if (state.notes && state.notes.length) {
+            state.notes.forEach(text => {
+                const paragraph = document.createElement('p');
+                paragraph.textContent = text;
+                notes.appendChild(paragraph);
+            });
+        } else {
+            notes.innerHTML = '<p class="remote-empty">Sin notas para este slide</p>';
+        }
+    }
+
+    // Sin relay al que conectarse: los botones no tienen efecto
+    showError(message) {
+        const { status, counter, prevBtn, nextBtn } = this.elements;
+        status.title = message;
+        counter.textContent = message;
+        prevBtn.disabled = true;
+        nextBtn.disabled = true;
+    }
+
+    updateStatus() {
+        const { status, counter } = this.elements;
+        status.classList.toggle('connected', this.isConnected);
+        status.title = this.isConnected ? 'Conectado' : 'Sin conexión';
+        if (!this.isConnected) {
+            counter.textContent = 'Reconectando…';
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.remoteControl = new RemoteControl();
+});
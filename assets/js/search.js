@@ -0,0 +1,384 @@
+/**
+ * SlideSearch - Búsqueda de texto en slides y notas
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Panel de búsqueda (Ctrl+K, / o el botón de la navegación) sobre el texto
+ * de cada .slide y de sus notas del presentador. Los resultados se ordenan
+ * por relevancia (título, sección, contenido, notas), muestran el slide y su
+ * sección, y al elegir uno se navega con goToSlide resaltando las
+ * coincidencias. El índice se reconstruye cuando cambian los slides.
+ */
+
+class SlideSearch {
+    constructor(engine) {
+        this.engine = engine;
+        this.entries = [];
+        this.results = [];
+        this.selectedIndex = 0;
+        this.isDirty = true;
+        this.isOpen = false;
+        this.panel = null;
+        this.input = null;
+        this.list = null;
+        this.observer = null;
+        this.highlightedSlide = null;
+        this.button = document.getElementById('searchBtn');
+
+        // Peso de cada campo en la puntuación y máximo de resultados
+        this.weights = { title: 8, section: 3, content: 1, notes: 0.5 };
+        this.maxResults = 20;
+
+        this.init();
+    }
+
+    init() {
+        this.buildPanel();
+
+        this.engine.listen(this.button, 'click', () => this.open());
+
+        // Slides generados (?deck=) o modificados en tiempo de ejecución
+        this.engine.on('slideschanged', () => {
+            this.isDirty = true;
+        });
+        this.observer = new MutationObserver(() => {
+            this.isDirty = true;
+        });
+        this.observer.observe(this.engine.container, { childList: true, subtree: true, characterData: true });
+
+        // Quitar el resaltado al salir del slide encontrado
+        this.engine.on('slidechanged', ({ index }) => {
+            if (index !== this.highlightedSlide) this.clearHighlights();
+        });
+    }
+
+    // Índice en minúsculas y sin acentos, manteniendo las posiciones del texto original
+    buildIndex() {
+        const { engine } = this;
+
+        this.entries = Array.from(engine.slides, (slide, index) => {
+            const fields = {
+                title: engine.getSlideTitle(index),
+                section: engine.getSectionForSlide(index)?.title || '',
+                content: this.cleanText(this.getTextNodes(slide).map(node => node.data).join(' ')),
+                notes: this.cleanText(slide.querySelector('aside.notes')?.textContent || '')
+            };
+
+            const folded = {};
+            Object.entries(fields).forEach(([field, text]) => {
+                folded[field] = this.fold(text);
+            });
+
+            return { index, fields, folded };
+        });
+
+        this.isDirty = false;
+    }
+
+    cleanText(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // Misma longitud que el original para poder resaltar por posición
+    fold(text) {
+        return Array.from(text, char => {
+            const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            return folded.length === char.length ? folded : char;
+        }).join('');
+    }
+
+    getTerms(query) {
+        return [...new Set(this.fold(query).split(/\s+/).filter(Boolean))];
+    }
+
+    countOccurrences(text, term) {
+        let count = 0;
+        let position = text.indexOf(term);
+        while (position !== -1) {
+            count++;
+            position = text.indexOf(term, position + term.length);
+        }
+        return count;
+    }
+
+    // Todas las palabras deben aparecer; la frase completa puntúa más
+    search(query) {
+        if (this.isDirty) this.buildIndex();
+
+        const terms = this.getTerms(query);
+        if (!terms.length) return [];
+
+        const phrase = this.fold(query.trim());
+
+        return this.entries
+            .map(entry => {
+                let score = 0;
+
+                for (const term of terms) {
+                    let termScore = 0;
+                    Object.entries(this.weights).forEach(([field, weight]) => {
+                        termScore += weight * Math.min(this.countOccurrences(entry.folded[field], term), 5);
+                    });
+                    if (!termScore) return null;
+                    score += termScore;
+                }
+
+                if (terms.length > 1 && Object.values(entry.folded).some(text => text.includes(phrase))) {
+                    score *= 1.5;
+                }
+
+                return { entry, score, terms };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.entry.index - b.entry.index)
+            .slice(0, this.maxResults);
+    }
+
+    buildPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'search-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-modal', 'true');
+        this.panel.setAttribute('aria-label', 'Buscar en la presentación');
+        this.panel.innerHTML = `
+            <div class="search-box">
+                <div class="search-input-row">
+                    <i class="fas fa-magnifying-glass"></i>
+                    <input type="search" class="search-input" placeholder="Buscar en slides y notas…"
+                           aria-label="Buscar en slides y notas" aria-controls="searchResults" autocomplete="off">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul class="search-results" id="searchResults" role="listbox"></ul>
+                <p class="search-empty">Sin resultados</p>
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.input = this.panel.querySelector('.search-input');
+        this.list = this.panel.querySelector('.search-results');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) this.close();
+        });
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) this.select(parseInt(item.dataset.position));
+        });
+    }
+
+    open() {
+        // La vista general tiene su propia navegación con Enter y flechas
+        this.engine.overview?.close();
+
+        this.isOpen = true;
+        this.panel.classList.add('active');
+        this.input.focus();
+        this.input.select();
+        this.update();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.remove('active');
+        this.input.blur();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    handleKeyboard(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setSelected(this.selectedIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setSelected(this.selectedIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(this.selectedIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    update() {
+        const query = this.input.value;
+        this.results = this.search(query);
+        this.selectedIndex = 0;
+
+        this.list.innerHTML = this.results.map((result, position) => {
+            const { entry, terms } = result;
+            const slideLabel = `Slide ${entry.index}${entry.fields.section ? ` · ${PresentationEngine.escapeHtml(entry.fields.section)}` : ''}`;
+            const source = this.countInField(entry, 'content', terms) ? 'content' : 'notes';
+            const snippet = this.countInField(entry, source, terms) ? this.snippet(entry, source, terms) : '';
+
+            return `
+                <li class="search-result" role="option" id="searchResult${position}" data-position="${position}">
+                    <span class="search-result-meta">${slideLabel}${source === 'notes' && snippet ? ' <span class="search-result-badge">Notas</span>' : ''}</span>
+                    <span class="search-result-title">${this.mark(entry.fields.title, entry.folded.title, terms)}</span>
+                    ${snippet ? `<span class="search-result-snippet">${snippet}</span>` : ''}
+                </li>`;
+        }).join('');
+
+        this.panel.classList.toggle('no-results', !!query.trim() && !this.results.length);
+        this.setSelected(0);
+    }
+
+    countInField(entry, field, terms) {
+        return terms.some(term => entry.folded[field].includes(term));
+    }
+
+    setSelected(position) {
+        const items = this.list.querySelectorAll('.search-result');
+        if (!items.length) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.selectedIndex = (position + items.length) % items.length;
+        items.forEach((item, i) => {
+            const isSelected = i === this.selectedIndex;
+            item.classList.toggle('selected', isSelected);
+            item.setAttribute('aria-selected', isSelected);
+        });
+
+        const selected = items[this.selectedIndex];
+        this.input.setAttribute('aria-activedescendant', selected.id);
+        selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Navegar al slide, resaltar y mostrar el fragmento con la primera coincidencia
+    select(position) {
+        const result = this.results[position];
+        if (!result) return;
+
+        const { index } = result.entry;
+        this.close();
+
+        const firstMatch = this.highlight(index, result.terms);
+        const fragment = firstMatch?.closest('.fragment');
+        const step = fragment
+            ? this.engine.getFragmentSteps(index).findIndex(group => group.includes(fragment))
+            : -1;
+
+        this.engine.goToSlide(index, step);
+    }
+
+    // Fragmento de texto alrededor de la primera coincidencia
+    snippet(entry, field, terms) {
+        const text = entry.fields[field];
+        const folded = entry.folded[field];
+        const first = Math.min(...terms.map(term => folded.indexOf(term)).filter(position => position >= 0));
+        const radius = 60;
+        const start = Math.max(0, first - radius);
+        const end = Math.min(text.length, first + radius * 2);
+
+        return `${start > 0 ? '…' : ''}${this.mark(text.slice(start, end), folded.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+    }
+
+    // Texto escapado con <mark> en cada coincidencia
+    mark(text, folded, terms) {
+        const escape = PresentationEngine.escapeHtml;
+        const ranges = this.findRanges(folded, terms);
+        let html = '';
+        let cursor = 0;
+
+        ranges.forEach(([start, end]) => {
+            html += `${escape(text.slice(cursor, start))}<mark>${escape(text.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        return html + escape(text.slice(cursor));
+    }
+
+    // Rangos [inicio, fin) ordenados y sin solapamientos
+    findRanges(folded, terms) {
+        const ranges = [];
+        terms.forEach(term => {
+            let position = folded.indexOf(term);
+            while (position !== -1) {
+                ranges.push([position, position + term.length]);
+                position = folded.indexOf(term, position + term.length);
+            }
+        });
+
+        return ranges
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+                return merged;
+            }, []);
+    }
+
+    // Envolver las coincidencias del slide en <mark class="search-highlight">
+    highlight(index, terms) {
+        this.clearHighlights();
+
+        const slide = this.engine.slides[index];
+        if (!slide) return null;
+
+        this.getTextNodes(slide).forEach(node => {
+            const ranges = this.findRanges(this.fold(node.data), terms);
+
+            // De atrás hacia delante para no desplazar las posiciones pendientes
+            ranges.reverse().forEach(([start, end]) => {
+                const match = node.splitText(start);
+                match.splitText(end - start);
+
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                match.replaceWith(mark);
+                mark.appendChild(match);
+            });
+        });
+
+        this.highlightedSlide = index;
+        return slide.querySelector('.search-highlight');
+    }
+
+    // Texto visible del slide (sin notas ni controles); el mismo para indexar y resaltar
+    getTextNodes(slide) {
+        const walker = document.createTreeWalker(slide, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement.closest('aside.notes, script, style, .calculator-toolbar')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT)
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        return nodes;
+    }
+
+    clearHighlights() {
+        this.engine.container.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+        this.highlightedSlide = null;
+    }
+
+    destroy() {
+        this.observer?.disconnect();
+        this.observer = null;
+        this.clearHighlights();
+        this.panel?.remove();
+        this.panel = null;
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * SyncClient - Sincronización remota por WebSocket
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Conecta la presentación a un relay WebSocket local (server/relay.js):
+ *   ?sync=ws://192.168.1.10:8080/sync&role=leader&token=…   publica slide/fragmento
+ *   ?sync&role=follower&token=…                             sigue al leader (audiencia)
+ * Sin URL se usa el propio host (deck servido por el relay). ?token= es el
+ * token compartido que muestra el relay al arrancar. ?room= separa varias
+ * sesiones en el mismo relay. El leader acepta además los comandos del
+ * control remoto (remote.html).
+ */
+
+class SyncClient {
+    constructor(engine) {
+        this.engine = engine;
+        this.socket = null;
+        this.url = null;
+        this.role = 'leader';
+        this.room = 'default';
+        this.token = '';
+        this.isConnected = false;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 10000;
+        this.reconnectTimer = null;
+        this.isClosed = false;
+
+        this.init();
+    }
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('sync') || !('WebSocket' in window)) return;
+
+        this.role = params.get('role') === 'follower' ? 'follower' : 'leader';
+        this.room = params.get('room') || this.room;
+        this.token = params.get('token') || '';
+        this.url = this.getUrl(params.get('sync'));
+        if (!this.url) return;
+
+        document.body.classList.add(`sync-${this.role}`);
+
+        // El leader publica cada cambio de slide o fragmento
+        if (this.role === 'leader') {
+            ['ready', 'slidechanged', 'fragmentshown', 'fragmenthidden'].forEach(type => {
+                this.engine.on(type, () => this.publish());
+            });
+        }
+
+        this.connect();
+    }
+
+    getUrl(value) {
+        let url;
+        try {
+            if (value) {
+                url = new URL(value);
+            } else if (/^https?:$/.test(window.location.protocol)) {
+                // Deck servido por el propio relay
+                url = new URL('/sync', window.location.href);
+                url.protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            } else {
+                return null;
+            }
+        } catch (error) {
+            // URL no válida: la presentación funciona sin sincronizar
+            return null;
+        }
+
+        url.searchParams.set('room', this.room);
+        url.searchParams.set('role', this.role);
+        url.searchParams.set('token', this.token);
+        return url.toString();
+    }
+
+    connect() {
+        if (this.isClosed) return;
+
+        this.socket = new WebSocket(this.url);
+
+        this.socket.addEventListener('open', () => {
+            this.isConnected = true;
+            this.reconnectDelay = 1000;
+            this.updateStatus();
+            if (this.role === 'leader') this.publish();
+        });
+
+        this.socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            this.isConnected = false;
+            this.updateStatus();
+            this.scheduleReconnect();
+        });
+    }
+
+    // Reintentar con espera creciente hasta que el relay vuelva
+    scheduleReconnect() {
+        if (this.isClosed) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    publish() {
+        const { engine } = this;
+        const index = engine.currentSlide;
+        const nextIndex = index + 1 < engine.totalSlides ? index + 1 : null;
+
+        this.send({
+            type: 'state',
+            slide: index,
+            fragment: engine.currentFragment,
+            fragments: engine.getFragmentSteps(index).length,
+            totalSlides: engine.totalSlides,
+            title: engine.getSlideTitle(index),
+            nextTitle: nextIndex !== null ? engine.getSlideTitle(nextIndex) : null,
+            // Texto plano; nunca HTML por la red
+            notes: engine.getSlideNotesText(index)
+        });
+    }
+
+    handleMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case 'state':
+                if (this.role === 'follower') {
+                    this.applyState(message.slide, message.fragment ?? -1);
+                }
+                break;
+            case 'command':
+                if (this.role === 'leader') {
+                    this.applyCommand(message);
+                }
+                break;
+        }
+    }
+
+    applyState(index, fragment) {
+        const { engine } = this;
+        if (typeof index !== 'number' || index < 0 || index >= engine.totalSlides) return;
+
+        // Reintentar si el estado llega durante una transición
+        if (engine.isTransitioning) {
+            setTimeout(() => this.applyState(index, fragment), 100);
+            return;
+        }
+
+        if (index !== engine.currentSlide) {
+            engine.goToSlide(index, fragment, { updateHistory: 'replace' });
+        } else if (fragment !== engine.currentFragment) {
+            engine.showFragment(fragment);
+        }
+    }
+
+    applyCommand(message) {
+        const { engine } = this;
+
+        switch (message.action) {
+            case 'next':
+                engine.nextSlide();
+                break;
+            case 'prev':
+                engine.prevSlide();
+                break;
+            case 'goto':
+                if (typeof message.slide === 'number') {
+                    engine.goToSlide(message.slide);
+                }
+                break;
+            case 'state':
+                this.publish();
+                break;
+        }
+    }
+
+    updateStatus() {
+        document.body.classList.toggle('sync-connected', this.isConnected);
+    }
+
+    destroy() {
+        this.isClosed = true;
+        clearTimeout(this.reconnectTimer);
+        this.socket?.close();
+        this.socket = null;
+        document.body.classList.remove('sync-leader', 'sync-follower', 'sync-connected');
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * ThemeManager - Temas de color en tiempo de ejecución
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Aplica temas con nombre (assets/css/themes.css) mediante <html data-theme>:
+ * ?theme=dark al cargar, la tecla T para recorrerlos o el selector de la
+ * navegación. La elección se guarda en localStorage.
+ */
+
+class ThemeManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.storageKey = 'presentation-theme';
+        this.current = 'default';
+        this.button = document.getElementById('themeBtn');
+        this.menu = null;
+
+        // Nombre → etiqueta y color de muestra del selector
+        this.themes = {
+            default: { label: 'Moneda Patria', swatch: '#1E3A8A' },
+            light: { label: 'Claro (proyector)', swatch: '#FFFFFF' },
+            dark: { label: 'Oscuro', swatch: '#0F172A' },
+            'high-contrast': { label: 'Alto Contraste', swatch: '#FFFF00' },
+            navy: { label: 'Corporativo Azul', swatch: '#0B3D91' },
+            teal: { label: 'Corporativo Verde', swatch: '#0F766E' }
+        };
+
+        this.init();
+    }
+
+    init() {
+        // Un ?theme= desconocido no descarta la preferencia guardada
+        const params = new URLSearchParams(window.location.search);
+        const requested = [params.get('theme'), this.load()].find(name => this.themes[name]);
+
+        // Sin elección previa, respetar la preferencia de contraste del sistema
+        if (requested) {
+            this.apply(requested);
+        } else if (window.matchMedia?.('(prefers-contrast: more)').matches) {
+            this.apply('high-contrast', { persist: false });
+        }
+
+        this.buildMenu();
+
+        this.engine.listen(this.button, 'click', (e) => {
+            e.stopPropagation();
+            this.toggleMenu();
+        });
+        this.engine.listen(document, 'click', (e) => {
+            if (this.menu && !this.menu.contains(e.target)) this.toggleMenu(false);
+        });
+        this.engine.listen(this.menu, 'keydown', (e) => this.handleMenuKeyboard(e));
+    }
+
+    apply(name, options = {}) {
+        if (!this.themes[name]) return false;
+
+        const previousTheme = this.current;
+        this.current = name;
+
+        if (name === 'default') {
+            delete document.documentElement.dataset.theme;
+        } else {
+            document.documentElement.dataset.theme = name;
+        }
+
+        if (options.persist !== false) this.save(name);
+        this.updateMenu();
+
+        if (name !== previousTheme) {
+            this.engine.emit('themechanged', { theme: name, previousTheme });
+        }
+        return true;
+    }
+
+    // Siguiente tema de la lista (tecla T)
+    next() {
+        const names = Object.keys(this.themes);
+        this.apply(names[(names.indexOf(this.current) + 1) % names.length]);
+    }
+
+    load() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save(name) {
+        try {
+            localStorage.setItem(this.storageKey, name);
+        } catch (error) {
+            // Almacenamiento no disponible (modo privado, file://)
+        }
+    }
+
+    buildMenu() {
+        this.menu = document.createElement('div');
+        this.menu.className = 'theme-menu';
+        this.menu.setAttribute('role', 'menu');
+        this.menu.setAttribute('aria-label', 'Tema');
+
+        Object.entries(this.themes).forEach(([name, theme]) => {
+            const option = document.createElement('button');
+            option.className = 'theme-option';
+            option.dataset.theme = name;
+            option.setAttribute('role', 'menuitemradio');
+            option.innerHTML = `<span class="theme-swatch" style="background: ${theme.swatch};"></span>`;
+            option.append(theme.label);
+            option.addEventListener('click', () => {
+                this.apply(name);
+                this.toggleMenu(false);
+            });
+            this.menu.appendChild(option);
+        });
+
+        document.body.appendChild(this.menu);
+        this.updateMenu();
+    }
+
+    toggleMenu(force) {
+        if (!this.menu) return;
+
+        const wasOpen = this.menu.classList.contains('active');
+        const isOpen = this.menu.classList.toggle('active', force);
+        this.button?.setAttribute('aria-expanded', isOpen);
+
+        // Al abrir, el foco pasa al tema activo
+        if (isOpen && !wasOpen) {
+            this.menu.querySelector('.theme-option.active')?.focus();
+        }
+    }
+
+    // Patrón de menú: flechas, Inicio/Fin y Escape (Enter y Espacio los da el botón)
+    handleMenuKeyboard(e) {
+        const options = Array.from(this.menu.querySelectorAll('.theme-option'));
+        const index = options.indexOf(document.activeElement);
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                target = (index + 1) % options.length;
+                break;
+            case 'ArrowUp':
+                target = (index - 1 + options.length) % options.length;
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = options.length - 1;
+                break;
+            case 'Escape':
+                this.toggleMenu(false);
+                this.button?.focus();
+                break;
+            case 'Tab':
+                this.toggleMenu(false);
+                return;
+            default:
+                return;
+        }
+
+        // Sin llegar a los atajos de la presentación (flechas, Escape)
+        e.preventDefault();
+        e.stopPropagation();
+        if (target !== null) options[target].focus();
+    }
+
+    updateMenu() {
+        this.menu?.querySelectorAll('.theme-option').forEach(option => {
+            const isActive = option.dataset.theme === this.current;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-checked', isActive);
+        });
+        if (this.button) {
+            this.button.title = `Tema: ${this.themes[this.current].label}`;
+        }
+    }
+
+    destroy() {
+        this.menu?.remove();
+        this.menu = null;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * SlideTransitions - Efectos de transición entre slides
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Efectos con nombre (slide, fade, zoom, none, section-wipe) definidos en
+ * assets/css/transitions.css mediante data-transition en el contenedor. El
+ * efecto y la velocidad los decide el slide entrante:
+ *
+ *   <div class="slide" data-transition="fade" data-transition-speed="slow">
+ *
+ * Valores por defecto: ?transition=zoom&transition-speed=fast, el atributo
+ * data-transition del contenedor o window.presentationConfig.transition =
+ * { effect: 'fade', speed: 'fast' }. La velocidad admite fast, default, slow
+ * o milisegundos. El motor espera a transitionend y encola las órdenes de
+ * navegación que llegan mientras tanto.
+ */
+
+class SlideTransitions {
+    constructor(engine) {
+        this.engine = engine;
+        this.effects = ['slide', 'fade', 'zoom', 'none', 'section-wipe'];
+        this.speeds = { fast: 300, default: 600, slow: 1000 };
+        this.queue = [];
+        this.pending = null;
+
+        // Pulsaciones que se conservan durante una transición
+        this.maxQueue = 5;
+
+        const params = new URLSearchParams(window.location.search);
+        const config = window.presentationConfig?.transition || {};
+        const container = engine.container;
+
+        this.defaultEffect = [params.get('transition'), config.effect, container.dataset.transition]
+            .find(effect => this.effects.includes(effect)) || 'slide';
+        this.defaultSpeed = params.get('transition-speed') || config.speed || container.dataset.transitionSpeed || 'default';
+
+        this.init();
+    }
+
+    init() {
+        this.prepare(this.engine.slides[this.engine.currentSlide]);
+    }
+
+    getEffect(slide) {
+        const effect = slide?.dataset.transition;
+        return this.effects.includes(effect) ? effect : this.defaultEffect;
+    }
+
+    getDuration(slide) {
+        if (this.getEffect(slide) === 'none') return 0;
+
+        const speed = slide?.dataset.transitionSpeed || this.defaultSpeed;
+        const milliseconds = parseInt(speed);
+        return this.speeds[speed] ?? (Number.isFinite(milliseconds) ? Math.max(0, milliseconds) : this.speeds.default);
+    }
+
+    // Antes de cambiar las clases: efecto, duración y sentido del slide entrante
+    prepare(slide) {
+        const { container } = this.engine;
+
+        // El layout documento no tiene transiciones entre slides
+        if (this.engine.reflow?.isEnabled) {
+            delete container.dataset.transition;
+            delete container.dataset.direction;
+            return;
+        }
+
+        // currentSlide aún es el slide saliente
+        const index = Array.prototype.indexOf.call(this.engine.slides, slide);
+        container.dataset.direction = index < this.engine.currentSlide ? 'backward' : 'forward';
+        container.dataset.transition = this.getEffect(slide);
+        container.style.setProperty('--slide-transition-duration', `${this.getDuration(slide)}ms`);
+    }
+
+    // Se resuelve con el transitionend del slide entrante, o tras su duración
+    // si el navegador no lo emite (efecto none, pestaña oculta)
+    wait(slide) {
+        this.cancel();
+
+        return new Promise(resolve => {
+            const handleEnd = (e) => {
+                if (e.target === slide) finish();
+            };
+            const timer = setTimeout(() => finish(), this.getDuration(slide) + 100);
+            const finish = () => {
+                this.cancel();
+                resolve();
+            };
+
+            slide.addEventListener('transitionend', handleEnd);
+            this.pending = () => {
+                slide.removeEventListener('transitionend', handleEnd);
+                clearTimeout(timer);
+                this.pending = null;
+            };
+        });
+    }
+
+    // Abandonar la espera en curso sin resolverla (una transición la sustituye)
+    cancel() {
+        this.pending?.();
+    }
+
+    enqueue(action) {
+        if (this.queue.length < this.maxQueue) {
+            this.queue.push(action);
+        }
+    }
+
+    // Ejecutar la siguiente orden encolada al terminar una transición
+    next() {
+        this.queue.shift()?.();
+    }
+
+    reset() {
+        this.cancel();
+        this.queue = [];
+    }
+
+    destroy() {
+        this.reset();
+        delete this.engine.container.dataset.transition;
+        delete this.engine.container.dataset.direction;
+        this.engine.container.style.removeProperty('--slide-transition-duration');
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * SyncRelay - Relay WebSocket local para control remoto y seguimiento
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Sin dependencias: solo módulos de Node. Sirve los archivos de la
+ * presentación y reenvía mensajes entre clientes de una misma sala:
+ *   node server/relay.js [puerto] [token]   (por defecto 8080)
+ *
+ *   http://<host>:8080/?sync&role=leader&token=<token>    presentador
+ *   http://<host>:8080/?sync&role=follower&token=<token>  audiencia
+ *   http://<host>:8080/remote.html?token=<token>          control remoto (teléfono)
+ *
+ * Cada conexión WebSocket debe traer el token compartido (argumento,
+ * variable SYNC_TOKEN o uno aleatorio que se muestra al arrancar); sin él
+ * el relay la rechaza. Solo se sirven los archivos de la presentación
+ * (index.html, remote.html, sw.js, assets/ y content/).
+ *
+ * El estado del leader se reenvía a todos y se guarda para quien se una
+ * más tarde; los comandos del remoto solo llegan a los leaders.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;
+const ROLES = ['leader', 'follower', 'remote'];
+
+// Lo único que se publica: el resto del repositorio (.git, server/…) no
+const PUBLIC_FILES = ['index.html', 'remote.html', 'sw.js'];
+const PUBLIC_DIRS = ['assets', 'content'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+class SyncRelay {
+    constructor(options = {}) {
+        this.port = options.port || 8080;
+        this.root = options.root || path.resolve(__dirname, '..');
+        this.token = options.token || crypto.randomBytes(12).toString('base64url');
+        this.rooms = new Map();
+
+        this.server = http.createServer((req, res) => this.serveFile(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    }
+
+    listen() {
+        this.server.listen(this.port, () => {
+            console.log(`Relay de sincronización en http://localhost:${this.port}`);
+            console.log(`Presentador: http://localhost:${this.port}/?sync&role=leader&token=${this.token}`);
+            console.log(`Control remoto: http://<ip>:${this.port}/remote.html?token=${this.token}`);
+        });
+    }
+
+    // Archivos estáticos de la presentación
+    serveFile(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        let relative;
+        try {
+            relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+        } catch (error) {
+            res.writeHead(400).end();
+            return;
+        }
+
+        if (!this.isPublic(relative)) {
+            res.writeHead(403).end();
+            return;
+        }
+
+        const filePath = path.resolve(this.root, `.${relative}`);
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(data);
+        });
+    }
+
+    // Solo la lista de archivos y carpetas públicas, sin archivos ocultos
+    isPublic(relative) {
+        const segments = path.posix.normalize(relative).split('/').filter(Boolean);
+
+        if (!segments.length || segments.some(segment => segment.startsWith('.') || segment.includes('\\'))) {
+            return false;
+        }
+        if (segments.length === 1) return PUBLIC_FILES.includes(segments[0]);
+        return PUBLIC_DIRS.includes(segments[0]);
+    }
+
+    // Comparación en tiempo constante del token compartido
+    isAuthorized(token) {
+        const expected = Buffer.from(this.token);
+        const received = Buffer.from(token || '');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    handleUpgrade(req, socket) {
+        const url = new URL(req.url, 'http://localhost');
+        const key = req.headers['sec-websocket-key'];
+
+        if (url.pathname !== '/sync' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        if (!this.isAuthorized(url.searchParams.get('token'))) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const role = ROLES.includes(url.searchParams.get('role')) ? url.searchParams.get('role') : 'follower';
+        const client = {
+            socket,
+            role,
+            room: url.searchParams.get('room') || 'default',
+            buffer: Buffer.alloc(0),
+            fragments: [],
+            fragmentsLength: 0
+        };
+
+        this.join(client);
+
+        socket.on('data', (chunk) => {
+            client.buffer = Buffer.concat([client.buffer, chunk]);
+            this.readFrames(client);
+        });
+        socket.on('close', () => this.leave(client));
+        socket.on('error', () => this.leave(client));
+    }
+
+    join(client) {
+        if (!this.rooms.has(client.room)) {
+            this.rooms.set(client.room, { clients: new Set(), state: null });
+        }
+
+        const room = this.rooms.get(client.room);
+        room.clients.add(client);
+
+        // Poner al día a quien se une tarde
+        if (room.state) {
+            this.send(client, room.state);
+        }
+    }
+
+    leave(client) {
+        const room = this.rooms.get(client.room);
+        if (!room) return;
+
+        room.clients.delete(client);
+        if (room.clients.size === 0) {
+            this.rooms.delete(client.room);
+        }
+    }
+
+    handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+
+        const room = this.rooms.get(client.room);
+        if (!room || !message) return;
+
+        if (message.type === 'state' && client.role === 'leader') {
+            room.state = text;
+            this.broadcast(room, client, text);
+        } else if (message.type === 'command' && client.role !== 'follower') {
+            this.broadcast(room, client, text, 'leader');
+        }
+    }
+
+    broadcast(room, sender, text, role = null) {
+        room.clients.forEach(client => {
+            if (client !== sender && (!role || client.role === role)) {
+                this.send(client, text);
+            }
+        });
+    }
+
+    // Decodificación de frames WebSocket (RFC 6455)
+    readFrames(client) {
+        while (client.buffer.length >= 2) {
+            const data = client.buffer;
+            const fin = (data[0] & 0x80) !== 0;
+            const opcode = data[0] & 0x0f;
+            const masked = (data[1] & 0x80) !== 0;
+            let length = data[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (data.length < 4) return;
+                length = data.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (data.length < 10) return;
+                length = Number(data.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Los clientes siempre enmascaran; mensajes grandes no son de este protocolo
+            if (!masked || length > MAX_PAYLOAD) {
+                this.close(client, 1002);
+                return;
+            }
+
+            if (data.length < offset + 4 + length) return;
+
+            const mask = data.subarray(offset, offset + 4);
+            const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            client.buffer = data.subarray(offset + 4 + length);
+
+            switch (opcode) {
+                case 0x0:
+                case 0x1:
+                    // El límite vale para el mensaje completo, no para cada fragmento
+                    client.fragmentsLength += payload.length;
+                    if (client.fragmentsLength > MAX_PAYLOAD) {
+                        this.close(client, 1009);
+                        return;
+                    }
+
+                    client.fragments.push(payload);
+                    if (fin) {
+                        const text = Buffer.concat(client.fragments).toString('utf8');
+                        client.fragments = [];
+                        client.fragmentsLength = 0;
+                        this.handleMessage(client, text);
+                    }
+                    break;
+                case 0x8:
+                    this.close(client, 1000);
+                    return;
+                case 0x9:
+                    this.writeFrame(client.socket, 0xA, payload);
+                    break;
+            }
+        }
+    }
+
+    send(client, text) {
+        this.writeFrame(client.socket, 0x1, Buffer.from(text, 'utf8'));
+    }
+
+    close(client, code) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.writeFrame(client.socket, 0x8, payload);
+        client.socket.end();
+        this.leave(client);
+    }
+
+    writeFrame(socket, opcode, payload) {
+        if (socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        socket.write(Buffer.concat([header, payload]));
+    }
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT) || 8080;
+    const token = process.argv[3] || process.env.SYNC_TOKEN;
+    new SyncRelay({ port, token }).listen();
+}
+
+module.exports = SyncRelay;
@@ -0,0 +1,98 @@
+/**
+ * Service Worker - Presentación disponible sin conexión
+ * Data Strategic Transformation | Moneda Patria
+ *
+ * Precarga el HTML, los estilos, los scripts y las fuentes de iconos y los
+ * sirve desde la caché cuando no hay red. La lista de recursos se obtiene
+ * al instalar a partir de las etiquetas <link> y <script> de las páginas:
+ * al añadir un archivo a index.html no hay que tocar este archivo. Lo que
+ * se carga con conexión se guarda también en la caché (red primero).
+ */
+
+// Solo cambia si cambia el formato de la caché
+const CACHE_VERSION = 'v8';
+const CACHE_NAME = `presentation-${CACHE_VERSION}`;
+
+// Páginas de las que se obtienen los recursos a precargar
+const PAGES = ['index.html', 'remote.html'];
+
+// Recursos referenciados desde las hojas de estilo que se precargan
+const FONT_EXTENSIONS = /\.woff2$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(await getPrecacheUrls());
+        await self.skipWaiting();
+    })());
+});
+
+// Eliminar cachés de versiones anteriores
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('presentation-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(networkFirst(request));
+});
+
+// Red primero para tener siempre la última versión; caché si no hay conexión
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${url}`);
+    return response.text();
+}
+
+// Hojas de estilo y scripts del propio origen, más las fuentes que usan
+async function getPrecacheUrls() {
+    const urls = new Set([new URL('./', self.location).href]);
+
+    for (const page of PAGES) {
+        const pageUrl = new URL(page, self.location);
+        urls.add(pageUrl.href);
+
+        const html = await fetchText(pageUrl);
+        for (const [, reference] of html.matchAll(/<(?:link|script)\b[^>]*?\b(?:href|src)="([^"]+)"/g)) {
+            const url = new URL(reference, pageUrl);
+            if (url.origin === self.location.origin) urls.add(url.href);
+        }
+    }
+
+    const stylesheets = [...urls].filter(url => url.endsWith('.css'));
+    for (const stylesheet of stylesheets) {
+        const css = await fetchText(stylesheet);
+        for (const [, , reference] of css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)) {
+            const url = new URL(reference, stylesheet);
+            if (url.origin === self.location.origin && FONT_EXTENSIONS.test(url.pathname)) urls.add(url.href);
+        }
+    }
+
+    return [...urls];
+}